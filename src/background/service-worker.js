@@ -2,23 +2,47 @@
 // 需求: 7.3, 7.4 - Background Service Worker 实现
 
 // 导入翻译核心类和常量
+import i18n from '../shared/i18n.js'
+import providerCredentials from '../shared/provider-credentials.js'
+import { LibreTranslateProvider } from '../shared/providers/libre-translate-provider.js'
+import rateLimiter from '../shared/rate-limiter.js'
+import requestCoalescer from '../shared/request-coalescer.js'
+import settingsService from '../shared/settings.js'
+import siteRulesManager from '../shared/site-rules.js'
+import { runMigrations } from '../shared/storage-migrations.js'
 import translationCore from '../shared/translation-core.js'
+import translationCache from '../shared/translation-cache.js'
+import translationScheduler from '../shared/translation-scheduler.js'
+import translatorPool from '../shared/translator-pool.js'
 import { 
-  DEFAULT_LANGUAGE_PREFERENCES, 
-  DEFAULT_EXTENSION_SETTINGS, 
-  SUPPORTED_LANGUAGES 
+  EXTERNAL_ERROR_CODES,
+  EXTERNAL_REQUEST_TYPES,
+  MESSAGE_TYPES,
+  PORT_NAMES,
+  SUPPORTED_LANGUAGES,
+  TRANSLATION_PRIORITIES,
+  TRANSLATOR_CONFIG 
 } from '../shared/constants.json'
 
 console.log('Chrome AI翻译扩展 Service Worker 已启动');
 
+// 只在 Service Worker 与扩展页面中使用的设置项，不发给 content script
+const CONTENT_SCRIPT_HIDDEN_SETTINGS = [
+  'externalAllowedExtensionIds',
+  'externalAllowedOrigins',
+  'externalRateLimit',
+  'libreTranslateUrl',
+];
+
 /**
  * Background Service 类
  * 负责处理扩展生命周期、消息传递和翻译服务协调
  */
 class BackgroundService {
   constructor() {
-    this.translatorInstances = new Map(); // 缓存翻译器实例
     this.constants = null;
+    this.activeRequests = new Map(); // `${tabId}:${requestId}` -> { requestId, controller, tabId }
+    this.omnibox = { timer: null, controller: null, lastResult: null }; // 地址栏翻译状态
     this.init();
   }
 
@@ -27,27 +51,59 @@ class BackgroundService {
    * 需求: 7.3 - 实现扩展生命周期管理
    */
   init() {
+    // 加载界面语言，右键菜单标题依赖它
+    this.i18nReady = i18n.initialize();
+
+    // 翻译后端凭据只在 Service Worker 中读取；content script 运行在所有 frame（包括第三方 iframe）中，
+    // 禁止其直接读取 chrome.storage.local（content script 的设置与数据均经由消息获取）
+    translationCore.useCredentials(providerCredentials);
+    chrome.storage.local.setAccessLevel({ accessLevel: 'TRUSTED_CONTEXTS' })
+      .catch((error) => console.error('限制本地存储访问失败:', error));
+
     // 监听扩展安装事件
     chrome.runtime.onInstalled.addListener(this.handleInstalled.bind(this));
 
     // 监听来自 Content Script 和 Popup 的消息
     chrome.runtime.onMessage.addListener(this.handleMessage.bind(this));
 
+    // 监听流式翻译长连接
+    chrome.runtime.onConnect.addListener(this.handleConnect.bind(this));
+
+    // 监听其他扩展和本地网页的调用（manifest externally_connectable，另需在设置中加入白名单）
+    chrome.runtime.onMessageExternal.addListener(this.handleExternalMessage.bind(this));
+    chrome.runtime.onConnectExternal.addListener(this.handleExternalConnect.bind(this));
+
     // 监听扩展图标点击事件
     chrome.action.onClicked.addListener(this.handleActionClick.bind(this));
 
     // 监听存储变化事件
     chrome.storage.onChanged.addListener(this.handleStorageChanged.bind(this));
 
+    // 设置变化时通知各标签页与右键菜单，无需刷新页面
+    this.watchSettings();
+
     // 监听右键菜单点击事件
     chrome.contextMenus.onClicked.addListener(this.handleContextMenuClick.bind(this));
 
+    // 监听快捷键命令（manifest commands，可在 chrome://extensions/shortcuts 中重新绑定）
+    chrome.commands.onCommand.addListener(this.handleCommand.bind(this));
+
+    // 监听地址栏关键字 "tr"（manifest omnibox）
+    chrome.omnibox.onInputChanged.addListener(this.handleOmniboxInputChanged.bind(this));
+    chrome.omnibox.onInputEntered.addListener(this.handleOmniboxInputEntered.bind(this));
+    chrome.omnibox.onInputCancelled.addListener(this.cancelOmniboxTranslation.bind(this));
+
     // 监听标签页激活事件，更新右键菜单状态
     chrome.tabs.onActivated.addListener(this.handleTabActivated.bind(this));
 
     // 监听标签页更新事件，更新右键菜单状态
     chrome.tabs.onUpdated.addListener(this.handleTabUpdated.bind(this));
 
+    // 标签页关闭时取消其未完成的翻译
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.cancelTranslations({ tabId });
+    });
+
     console.log('Background Service 初始化完成');
   }
 
@@ -58,27 +114,18 @@ class BackgroundService {
   async handleInstalled(details) {
     console.log('扩展已安装:', details.reason);
 
-    // 设置默认配置
-    const defaultConfig = {
-      languagePreferences: DEFAULT_LANGUAGE_PREFERENCES,
-      extensionSettings: DEFAULT_EXTENSION_SETTINGS,
-      translationHistory: [],
-    };
-
-    // 使用 sync 存储用户偏好，local 存储历史记录
-    chrome.storage.sync.set({
-      languagePreferences: defaultConfig.languagePreferences,
-      extensionSettings: defaultConfig.extensionSettings,
-    });
-
-    chrome.storage.local.set({
-      translationHistory: defaultConfig.translationHistory,
-    });
+    // 安装与更新时执行存储迁移：补全默认设置、修复不合法的值，不覆盖已有的设置与历史记录
+    if (details.reason === 'install' || details.reason === 'update') {
+      try {
+        const { from, to, applied } = await runMigrations();
+        console.log(`存储结构 v${from} -> v${to}，执行迁移: ${applied.join(', ') || '无'}`);
+      } catch (error) {
+        console.error('存储迁移失败:', error);
+      }
+    }
 
     // 创建右键菜单
     this.createContextMenus();
-
-    console.log('默认配置已设置');
   }
 
   /**
@@ -95,9 +142,16 @@ class BackgroundService {
 
     switch (message.type) {
       case 'TRANSLATE_TEXT':
-        this.handleTranslateRequest(message, sendResponse);
+        this.handleTranslateRequest(message, sender, sendResponse);
         return true; // 保持消息通道开放以进行异步响应
 
+      case 'CANCEL_TRANSLATION':
+        sendResponse({
+          success: true,
+          cancelled: this.handleCancelTranslation(message, sender),
+        });
+        return false;
+
       case 'TRANSLATE_STREAMING':
         this.handleStreamingTranslateRequest(message, sender, sendResponse);
         return true;
@@ -139,24 +193,127 @@ class BackgroundService {
         sendResponse({ success: true });
         return false;
 
+      case 'CLEAR_TRANSLATION_CACHE':
+        translationCache.clear().then(() => sendResponse({ success: true }));
+        return true;
+
       case 'GET_CACHE_INFO':
-        sendResponse({
-          success: true,
-          data: this.getTranslatorCacheInfo(),
-        });
-        return false;
+        this.getTranslatorCacheInfo().then((data) => sendResponse({ success: true, data }));
+        return true;
 
       case 'UPDATE_CONTEXT_MENU':
-        this.handleUpdateContextMenu(message);
+        this.handleUpdateContextMenu(message, sender);
         sendResponse({ success: true });
         return false;
 
+      case 'TOGGLE_PAGE_TRANSLATION':
+        chrome.tabs.get(message.tabId)
+          .then((tab) => this.togglePageTranslation(tab))
+          .then(() => sendResponse({ success: true }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'SELECTION_CHANGED':
+        // 页面选区变化由侧边栏处理，这里无需响应
+        return false;
+
+      case 'RELAY_TO_FRAMES':
+        this.relayToFrames(message.message, sender);
+        return false;
+
+      case 'FRAME_TRANSLATION_STATE':
+      case 'GET_PAGE_TRANSLATION_STATE':
+        this.forwardToTopFrame(message, sender, sendResponse);
+        return true;
+
+      case 'GET_SITE_RULE':
+        this.handleGetSiteRule(message, sender, sendResponse);
+        return true;
+
+      case 'UPDATE_SITE_RULE':
+        siteRulesManager.updateRuleForUrl(message.url || sender.url, message.changes)
+          .then((rule) => sendResponse({ success: true, rule }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'GET_LANGUAGE_RULES':
+        siteRulesManager.getLanguageRules().then((rules) => sendResponse({ success: true, rules }));
+        return true;
+
+      case 'SET_LANGUAGE_RULE':
+        siteRulesManager.setLanguageRule(message.language, message.mode)
+          .then((rules) => sendResponse({ success: true, rules }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'DETECT_LANGUAGE':
+        translationCore.detectLanguageWithConfidence(message.text || '')
+          .then((result) => sendResponse({ success: !!result, ...result }));
+        return true;
+
+      case 'GET_PROVIDER_CREDENTIALS':
+      case 'UPDATE_PROVIDER_CREDENTIALS':
+      case 'TEST_LIBRE_TRANSLATE':
+        this.handleCredentialsMessage(message, sender, sendResponse);
+        return true;
+
       default:
         console.log('未知消息类型:', message.type);
         sendResponse({ success: false, error: '未知消息类型' });
     }
   }
 
+  /**
+   * 处理后端凭据相关消息：只受理扩展自身的页面（popup、侧边栏），不返回凭据内容
+   */
+  async handleCredentialsMessage(message, sender, sendResponse) {
+    if (!sender.url?.startsWith(chrome.runtime.getURL(''))) {
+      sendResponse({ success: false, error: '无权访问翻译后端凭据' });
+      return;
+    }
+
+    try {
+      switch (message.type) {
+        case 'GET_PROVIDER_CREDENTIALS':
+          sendResponse({ success: true, configured: await providerCredentials.getStatus() });
+          break;
+
+        case 'UPDATE_PROVIDER_CREDENTIALS':
+          sendResponse({ success: true, configured: await providerCredentials.update(message.changes || {}) });
+          break;
+
+        case 'TEST_LIBRE_TRANSLATE': {
+          // 未填写 API Key 时使用已保存的
+          const { libreTranslateApiKey } = await providerCredentials.get();
+          const provider = new LibreTranslateProvider();
+          provider.configure({
+            libreTranslateUrl: message.url,
+            libreTranslateApiKey: message.apiKey || libreTranslateApiKey,
+          });
+          const languages = await provider.getLanguages();
+          sendResponse({ success: true, languageCount: languages.length });
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('处理翻译后端凭据失败:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 去掉不发给 content script 的设置项
+   * @param {Object} settings - 完整的扩展设置
+   * @returns {Object}
+   */
+  toContentScriptSettings(settings) {
+    const visible = { ...settings };
+    for (const key of CONTENT_SCRIPT_HIDDEN_SETTINGS) {
+      delete visible[key];
+    }
+    return visible;
+  }
+
   /**
    * 检测文本语言 - 使用translationCore
    */
@@ -173,7 +330,10 @@ class BackgroundService {
    * 处理翻译请求
    * 需求: 1.2 - 翻译器实例的全局管理
    */
-  async handleTranslateRequest(message, sendResponse) {
+  async handleTranslateRequest(message, sender, sendResponse) {
+    const requestId = message.requestId || this.generateRequestId();
+    let controller = null;
+
     try {
       const { text, sourceLanguage, targetLanguage } = message;
 
@@ -182,11 +342,6 @@ class BackgroundService {
         return;
       }
 
-      if (text.length > 5000) {
-        sendResponse({ success: false, error: '文本长度超过5000字符限制' });
-        return;
-      }
-
       console.log(`开始翻译: ${sourceLanguage} -> ${targetLanguage}, 文本长度: ${text.length}`);
 
       // 检查浏览器支持
@@ -199,35 +354,151 @@ class BackgroundService {
       }
 
       // 使用翻译核心类进行智能翻译
-      const result = await translationCore.smartTranslate(text, sourceLanguage, targetLanguage);
+      controller = this.registerRequest(requestId, sender.tab?.id);
+      const result = await this.scheduleTranslation(text, sourceLanguage, targetLanguage, {
+        priority: message.priority,
+        tabId: sender.tab?.id,
+        signal: controller.signal,
+      });
 
       console.log('翻译完成:', result.result.substring(0, 50) + (result.result.length > 50 ? '...' : ''));
 
       sendResponse({
         success: true,
+        requestId,
         result: result.result,
         sourceLanguage: result.sourceLanguage,
         targetLanguage: result.targetLanguage,
+        fromCache: result.fromCache,
+        provider: result.provider,
+        glossaryTerms: result.glossaryTerms,
       });
     } catch (error) {
-      console.error('翻译失败:', error);
-
-      let errorMessage = '翻译失败，请重试';
-
-      // 根据错误类型提供更具体的错误信息
-      if (error.message.includes('not supported')) {
-        errorMessage = '不支持的语言对';
-      } else if (error.message.includes('model')) {
-        errorMessage = '翻译模型不可用，请稍后再试';
-      } else if (error.message.includes('network')) {
-        errorMessage = '网络错误，请检查网络连接';
+      if (translationCore.isAbortError(error)) {
+        console.log('翻译已取消:', requestId);
+        sendResponse({ success: false, cancelled: true, requestId, error: '翻译已取消' });
+        return;
       }
 
+      console.error('翻译失败:', error);
+
       sendResponse({
         success: false,
-        error: errorMessage,
+        requestId,
+        error: this.getTranslateErrorMessage(error),
       });
+    } finally {
+      this.finishRequest(requestId, controller);
+    }
+  }
+
+  /**
+   * 经由合并器与调度队列执行单段翻译
+   * 相同的在途请求（跨标签页/frame）共享同一次翻译，实际翻译按 priority 进入调度队列；
+   * 更高优先级的调用方加入时提升共享任务的优先级（如划词翻译的文本与排队中的页面片段相同）
+   */
+  scheduleTranslation(text, sourceLanguage, targetLanguage, { priority, tabId, signal } = {}) {
+    return requestCoalescer.run(
+      requestCoalescer.getKey(text, sourceLanguage, targetLanguage),
+      (sharedSignal) => translationScheduler.schedule(
+        (taskSignal) => translationCore.smartTranslate(text, sourceLanguage, targetLanguage, { signal: taskSignal }),
+        { priority, tabId, signal: sharedSignal }
+      ),
+      {
+        signal,
+        onJoin: (sharedSignal) => translationScheduler.raisePriority(sharedSignal, priority),
+      }
+    );
+  }
+
+  /**
+   * 生成翻译请求 ID
+   */
+  generateRequestId() {
+    return `req-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * 登记进行中的翻译请求，返回可透传给 Translator API 的 AbortSignal
+   * 同一发送方重复登记同一 requestId 时，先取消之前的请求；不同发送方的同名请求互不影响
+   */
+  registerRequest(requestId, tabId = null) {
+    const key = `${tabId}:${requestId}`;
+    this.activeRequests.get(key)?.controller.abort();
+
+    const controller = new AbortController();
+    this.activeRequests.set(key, { requestId, controller, tabId });
+    return controller;
+  }
+
+  /**
+   * 翻译结束后移除登记（仅移除本次登记，避免误删同 ID 的新请求）
+   */
+  finishRequest(requestId, controller) {
+    for (const [key, request] of this.activeRequests) {
+      if (request.requestId === requestId && request.controller === controller) {
+        this.activeRequests.delete(key);
+        return;
+      }
+    }
+  }
+
+  /**
+   * 处理取消翻译请求
+   * 支持 requestId（单个）、requestIds（多个）、tabId（该标签页的全部请求）；
+   * 来自标签页的消息忽略 tabId，只能取消发送方标签页登记的请求，传 scope: 'tab' 时取消其全部请求
+   * @returns {number} 被取消的请求数量
+   */
+  handleCancelTranslation(message, sender) {
+    const { requestId, requestIds, scope } = message;
+    const senderTabId = sender.tab ? sender.tab.id : undefined;
+    const tabId = sender.tab
+      ? (scope === 'tab' ? senderTabId : undefined)
+      : message.tabId;
+
+    let cancelled = 0;
+
+    if (requestId) {
+      cancelled += this.cancelTranslations({ requestId, tabId: senderTabId });
+    }
+
+    if (Array.isArray(requestIds)) {
+      for (const id of requestIds) {
+        cancelled += this.cancelTranslations({ requestId: id, tabId: senderTabId });
+      }
+    }
+
+    if (tabId != null) {
+      cancelled += this.cancelTranslations({ tabId });
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * 取消匹配的翻译请求
+   * 同时给出 requestId 与 tabId 时，只有该标签页登记的同名请求会被取消
+   * @param {{requestId?: string, tabId?: number}} filter - 过滤条件
+   * @returns {number} 被取消的请求数量
+   */
+  cancelTranslations({ requestId, tabId }) {
+    let cancelled = 0;
+
+    for (const [key, request] of this.activeRequests) {
+      if (!requestId && tabId == null) break;
+      if (requestId && request.requestId !== requestId) continue;
+      if (tabId != null && request.tabId !== tabId) continue;
+
+      request.controller.abort();
+      this.activeRequests.delete(key);
+      cancelled++;
+    }
+
+    if (cancelled > 0) {
+      console.log(`已取消 ${cancelled} 个翻译请求`, requestId || `标签页 ${tabId}`);
     }
+
+    return cancelled;
   }
 
   /**
@@ -235,16 +506,18 @@ class BackgroundService {
    */
   async handleGetSettings(sendResponse) {
     try {
-      const syncResult = await chrome.storage.sync.get([
-        'languagePreferences',
-        'extensionSettings',
+      // 设置与语言偏好统一由设置服务读取（已补全默认值并修复不合法的值）
+      const [extensionSettings, languagePreferences, localResult] = await Promise.all([
+        settingsService.getSettings(),
+        settingsService.getLanguagePreferences(),
+        chrome.storage.local.get(['translationHistory']),
       ]);
-      const localResult = await chrome.storage.local.get(['translationHistory']);
 
       sendResponse({
         success: true,
         data: {
-          ...syncResult,
+          extensionSettings: this.toContentScriptSettings(extensionSettings),
+          languagePreferences,
           ...localResult,
         },
       });
@@ -259,28 +532,17 @@ class BackgroundService {
    */
   async handleUpdateSettings(settings, sendResponse) {
     try {
-      // 分别存储到 sync 和 local
-      const syncData = {};
-      const localData = {};
-
+      // 设置与语言偏好由设置服务校验后写入，不合法的值直接拒绝
       if (settings.languagePreferences) {
-        syncData.languagePreferences = settings.languagePreferences;
+        await settingsService.updateLanguagePreferences(settings.languagePreferences);
       }
 
       if (settings.extensionSettings) {
-        syncData.extensionSettings = settings.extensionSettings;
+        await settingsService.updateSettings(settings.extensionSettings);
       }
 
       if (settings.translationHistory) {
-        localData.translationHistory = settings.translationHistory;
-      }
-
-      if (Object.keys(syncData).length > 0) {
-        await chrome.storage.sync.set(syncData);
-      }
-
-      if (Object.keys(localData).length > 0) {
-        await chrome.storage.local.set(localData);
+        await chrome.storage.local.set({ translationHistory: settings.translationHistory });
       }
 
       sendResponse({ success: true });
@@ -352,22 +614,88 @@ class BackgroundService {
   /**
    * 创建右键菜单
    * 需求: 7.4 - 实现扩展图标和右键菜单功能
+   * 菜单标题取自 _locales，界面语言变化时重新创建
    */
-  createContextMenus() {
+  async createContextMenus() {
+    await this.i18nReady;
+
+    const documentUrlPatterns = ['http://*/*', 'https://*/*'];
+
     // 清除现有菜单
     chrome.contextMenus.removeAll(() => {
       // 创建菜单项，默认显示"全文翻译"
       chrome.contextMenus.create({
         id: 'toggle-translate-page',
-        title: '全文翻译',
+        title: i18n.getMessage('contextMenuTogglePage'),
+        contexts: ['page'],
+        documentUrlPatterns,
+      });
+
+      // 选择目标语言翻译页面
+      chrome.contextMenus.create({
+        id: 'translate-page-into',
+        title: i18n.getMessage('contextMenuTranslatePageInto'),
         contexts: ['page'],
-        documentUrlPatterns: ['http://*/*', 'https://*/*'],
+        documentUrlPatterns,
+      });
+
+      for (const language of SUPPORTED_LANGUAGES) {
+        if (language.code === 'auto') continue;
+        chrome.contextMenus.create({
+          id: `translate-page-into:${language.code}`,
+          parentId: 'translate-page-into',
+          title: this.getLanguageDisplayName(language),
+          contexts: ['page'],
+          documentUrlPatterns,
+        });
+      }
+
+      chrome.contextMenus.create({
+        id: 'translate-selection',
+        title: i18n.getMessage('contextMenuTranslate'),
+        contexts: ['selection'],
+        documentUrlPatterns,
+      });
+
+      chrome.contextMenus.create({
+        id: 'translate-link',
+        title: i18n.getMessage('contextMenuTranslateLink'),
+        contexts: ['link'],
+        documentUrlPatterns,
+      });
+
+      chrome.contextMenus.create({
+        id: 'translate-image',
+        title: i18n.getMessage('contextMenuTranslateImage'),
+        contexts: ['image'],
+        documentUrlPatterns,
       });
 
       console.log('右键菜单已创建');
     });
   }
 
+  /**
+   * 获取当前界面语言下的语言名称，浏览器不支持 Intl.DisplayNames 时使用 SUPPORTED_LANGUAGES 中的名称
+   */
+  getLanguageDisplayName(language) {
+    try {
+      const displayNames = new Intl.DisplayNames([i18n.getCurrentLocale().replace('_', '-')], { type: 'language' });
+      return displayNames.of(language.code) || language.name;
+    } catch (error) {
+      return language.name;
+    }
+  }
+
+  /**
+   * 更新"全文翻译 / 取消全文翻译"菜单标题
+   */
+  setToggleMenuTitle(isTranslated) {
+    chrome.contextMenus.update('toggle-translate-page', {
+      title: i18n.getMessage(isTranslated ? 'contextMenuCancelPage' : 'contextMenuTogglePage'),
+    });
+  }
+
   /**
    * 更新右键菜单状态
    * 在页面加载时检查翻译状态并更新菜单文字
@@ -387,22 +715,11 @@ class BackgroundService {
           type: 'GET_TRANSLATION_STATUS',
         });
 
-        if (statusResponse && statusResponse.isTranslated) {
-          // 页面已翻译，显示"取消全文翻译"
-          chrome.contextMenus.update('toggle-translate-page', {
-            title: '取消全文翻译'
-          });
-        } else {
-          // 页面未翻译，显示"全文翻译"
-          chrome.contextMenus.update('toggle-translate-page', {
-            title: '全文翻译'
-          });
-        }
+        // 页面已翻译显示"取消全文翻译"，否则显示"全文翻译"
+        this.setToggleMenuTitle(!!(statusResponse && statusResponse.isTranslated));
       } catch (error) {
         // content script 未加载或无法通信，默认显示"全文翻译"
-        chrome.contextMenus.update('toggle-translate-page', {
-          title: '全文翻译'
-        });
+        this.setToggleMenuTitle(false);
       }
     } catch (error) {
       console.error('更新右键菜单状态失败:', error);
@@ -417,11 +734,39 @@ class BackgroundService {
     console.log('右键菜单被点击:', info.menuItemId, '标签页:', tab.id);
 
     try {
+      if (String(info.menuItemId).startsWith('translate-page-into:')) {
+        const targetLanguage = String(info.menuItemId).slice('translate-page-into:'.length);
+        await this.translatePageInto(tab, targetLanguage);
+        return;
+      }
+
       switch (info.menuItemId) {
         case 'toggle-translate-page':
           await this.togglePageTranslation(tab);
           break;
 
+        case 'translate-selection':
+          if (await this.ensureContentScript(tab)) {
+            await chrome.tabs.sendMessage(tab.id, {
+              type: 'TRANSLATE_SELECTION',
+              text: info.selectionText,
+            }, { frameId: info.frameId ?? 0 });
+          }
+          break;
+
+        case 'translate-link':
+        case 'translate-image':
+          // 菜单点击信息中没有链接文字与图片 alt，由 content script 根据右键目标取出
+          if (await this.ensureContentScript(tab)) {
+            await chrome.tabs.sendMessage(tab.id, {
+              type: 'TRANSLATE_CONTEXT_TARGET',
+              targetType: info.menuItemId === 'translate-link' ? 'link' : 'image',
+              linkUrl: info.linkUrl,
+              srcUrl: info.srcUrl,
+            }, { frameId: info.frameId ?? 0 });
+          }
+          break;
+
         default:
           console.log('未知的菜单项:', info.menuItemId);
       }
@@ -431,86 +776,272 @@ class BackgroundService {
   }
 
   /**
-   * 切换页面翻译状态
+   * 处理快捷键命令，路由到当前活动标签页
    */
-  async togglePageTranslation(tab) {
-    console.log('切换页面翻译状态:', tab.url);
+  async handleCommand(command, tab) {
+    console.log('快捷键命令:', command);
 
-    // 检查URL是否可以翻译
-    if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') || 
-        tab.url.startsWith('moz-extension://') || tab.url.startsWith('about:')) {
-      console.log('无法在此页面执行翻译:', tab.url);
-      return;
-    }
-
-    // 获取用户语言偏好
-    let languagePreferences;
     try {
-      const result = await chrome.storage.sync.get('languagePreferences');
-      languagePreferences = result.languagePreferences || {
-        sourceLanguage: 'auto',
-        targetLanguage: 'zh'
-      };
+      // 交换语言对不依赖页面
+      if (command === 'swap-languages') {
+        await this.swapLanguages();
+        return;
+      }
+
+      if (!tab) {
+        [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      }
+      if (!tab || !tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') ||
+          tab.url.startsWith('moz-extension://') || tab.url.startsWith('about:')) {
+        console.log('无法在此页面执行快捷键命令:', tab?.url);
+        return;
+      }
+
+      switch (command) {
+        case 'translate-selection':
+          if (await this.ensureContentScript(tab)) {
+            await chrome.tabs.sendMessage(tab.id, { type: 'TRANSLATE_SELECTION' });
+          }
+          break;
+
+        case 'toggle-page-translation':
+          await this.togglePageTranslation(tab);
+          break;
+
+        case 'open-translator-panel':
+          if (await this.ensureContentScript(tab)) {
+            await chrome.tabs.sendMessage(tab.id, { type: 'SHOW_TRANSLATOR_PANEL' });
+          }
+          break;
+
+        case 'toggle-original':
+          // 页面未翻译时 content script 不做处理
+          await chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_ORIGINAL_TEXT' });
+          break;
+
+        default:
+          console.log('未知的快捷键命令:', command);
+      }
     } catch (error) {
-      console.error('获取语言偏好失败:', error);
-      languagePreferences = {
-        sourceLanguage: 'auto',
-        targetLanguage: 'zh'
-      };
+      console.error('处理快捷键命令失败:', error);
     }
+  }
 
-    console.log('使用语言偏好:', languagePreferences);
+  /**
+   * 交换源语言与目标语言
+   * 源语言为自动检测时无法交换，保持不变
+   */
+  async swapLanguages() {
+    const preferences = await settingsService.getLanguagePreferences();
 
-    // 确保 content script 已加载
-    let contentScriptReady = false;
-    try {
-      // 先尝试发送测试消息
-      const pingResponse = await chrome.tabs.sendMessage(tab.id, { type: 'PING' });
-      if (pingResponse && pingResponse.success) {
-        contentScriptReady = true;
+    if (preferences.sourceLanguage === 'auto') {
+      console.log('源语言为自动检测，无法交换语言对');
+      return;
+    }
+
+    // 写入后由 watchSettings 的订阅通知各标签页的 content script
+    await settingsService.updateLanguagePreferences({
+      sourceLanguage: preferences.targetLanguage,
+      targetLanguage: preferences.sourceLanguage,
+    });
+
+    console.log(`语言对已交换: ${preferences.targetLanguage} → ${preferences.sourceLanguage}`);
+  }
+
+  /**
+   * 解析地址栏输入，支持 "ja: 文本" 前缀临时指定目标语言
+   * @returns {{text: string, targetLanguage: string|null}}
+   */
+  parseOmniboxInput(input) {
+    const match = input.match(/^\s*([a-z]{2,3})\s*:\s*([\s\S]*)$/i);
+    if (match) {
+      const code = match[1].toLowerCase();
+      if (code !== 'auto' && SUPPORTED_LANGUAGES.some(language => language.code === code)) {
+        return { text: match[2].trim(), targetLanguage: code };
       }
-    } catch (error) {
-      console.log('Content script 未就绪，准备注入:', error.message);
     }
+    return { text: input.trim(), targetLanguage: null };
+  }
 
-    if (!contentScriptReady) {
-      // content script 未加载，注入它
-      try {
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['content-script.js'],
-        });
-        
-        console.log('Content script 注入成功，等待初始化...');
-        
-        // 等待 content script 初始化
-        let retries = 0;
-        const maxRetries = 10;
-        
-        while (retries < maxRetries) {
-          try {
-            await new Promise(resolve => setTimeout(resolve, 200));
-            const pingResponse = await chrome.tabs.sendMessage(tab.id, { type: 'PING' });
-            if (pingResponse && pingResponse.success) {
-              contentScriptReady = true;
-              console.log('Content script 初始化完成');
-              break;
-            }
-          } catch (error) {
-            retries++;
-            console.log(`等待 content script 初始化... (${retries}/${maxRetries})`);
-          }
-        }
-        
-        if (!contentScriptReady) {
-          console.error('Content script 初始化超时');
-          return;
-        }
-      } catch (injectError) {
-        console.error('注入 content script 失败:', injectError);
-        return;
+  /**
+   * 转义地址栏建议描述中的 XML 特殊字符，并截断过长文本
+   */
+  formatOmniboxText(text, maxLength = 200) {
+    const truncated = text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+    return truncated
+      .replace(/\s+/g, ' ')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * 处理地址栏输入变化：防抖后翻译，译文作为建议项显示
+   */
+  handleOmniboxInputChanged(input, suggest) {
+    this.cancelOmniboxTranslation();
+
+    const { text, targetLanguage } = this.parseOmniboxInput(input);
+    if (!text) {
+      chrome.omnibox.setDefaultSuggestion({
+        description: '输入要翻译的文本，可用 "ja: 文本" 临时指定目标语言',
+      });
+      return;
+    }
+
+    chrome.omnibox.setDefaultSuggestion({
+      description: `翻译 <match>${this.formatOmniboxText(text)}</match><dim> - 按回车在翻译页面中打开</dim>`,
+    });
+
+    this.omnibox.timer = setTimeout(() => {
+      this.runOmniboxTranslation(text, targetLanguage, suggest);
+    }, 300);
+  }
+
+  /**
+   * 执行地址栏翻译，新的输入到达时取消
+   */
+  async runOmniboxTranslation(text, targetLanguage, suggest) {
+    const controller = new AbortController();
+    this.omnibox.controller = controller;
+
+    try {
+      const preferences = await settingsService.getLanguagePreferences();
+      const target = targetLanguage || preferences.targetLanguage;
+
+      const translation = await this.scheduleTranslation(text, preferences.sourceLanguage, target, {
+        priority: TRANSLATION_PRIORITIES.INTERACTIVE,
+        signal: controller.signal,
+      });
+      if (controller.signal.aborted) return;
+
+      this.omnibox.lastResult = { text, targetLanguage: target, result: translation.result };
+
+      const [sourceName, targetName] = [translation.sourceLanguage, target]
+        .map(code => this.getLanguageDisplayName({ code, name: code }));
+      const languages = `${sourceName} → ${targetName}`;
+      suggest([{
+        content: translation.result,
+        description: `${this.formatOmniboxText(translation.result)}<dim> (${this.formatOmniboxText(languages)})</dim>`,
+      }]);
+    } catch (error) {
+      if (translationCore.isAbortError(error)) return;
+
+      console.error('地址栏翻译失败:', error);
+      chrome.omnibox.setDefaultSuggestion({
+        description: `翻译失败：${this.formatOmniboxText(this.getTranslateErrorMessage(error))}<dim> - 按回车在翻译页面中重试</dim>`,
+      });
+    } finally {
+      if (this.omnibox.controller === controller) {
+        this.omnibox.controller = null;
       }
     }
+  }
+
+  /**
+   * 取消等待中或进行中的地址栏翻译
+   */
+  cancelOmniboxTranslation() {
+    clearTimeout(this.omnibox.timer);
+    this.omnibox.timer = null;
+    if (this.omnibox.controller) {
+      this.omnibox.controller.abort();
+      this.omnibox.controller = null;
+    }
+  }
+
+  /**
+   * 处理地址栏回车：打开翻译页面并填入原文
+   * 选中的是译文建议项时，仍以对应的原文打开
+   */
+  async handleOmniboxInputEntered(input, disposition) {
+    this.cancelOmniboxTranslation();
+
+    const lastResult = this.omnibox.lastResult;
+    const { text, targetLanguage } = lastResult && input === lastResult.result
+      ? lastResult
+      : this.parseOmniboxInput(input);
+
+    const params = new URLSearchParams({ text });
+    if (targetLanguage) {
+      params.set('target', targetLanguage);
+    }
+    const url = chrome.runtime.getURL(`popup.html?${params}`);
+
+    try {
+      switch (disposition) {
+        case 'newForegroundTab':
+          await chrome.tabs.create({ url });
+          break;
+        case 'newBackgroundTab':
+          await chrome.tabs.create({ url, active: false });
+          break;
+        default:
+          await chrome.tabs.update({ url });
+      }
+    } catch (error) {
+      console.error('打开翻译页面失败:', error);
+    }
+  }
+
+  /**
+   * 将页面翻译为指定语言，页面已翻译时先取消之前的翻译
+   */
+  async translatePageInto(tab, targetLanguage) {
+    if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') ||
+        tab.url.startsWith('moz-extension://') || tab.url.startsWith('about:')) {
+      console.log('无法在此页面执行翻译:', tab.url);
+      return;
+    }
+
+    if (!(await this.ensureContentScript(tab))) {
+      return;
+    }
+
+    const { preferences } = await this.getPageLanguagePreferences(tab.url);
+
+    const statusResponse = await chrome.tabs.sendMessage(tab.id, { type: 'GET_TRANSLATION_STATUS' });
+    if (statusResponse && statusResponse.isTranslated) {
+      await chrome.tabs.sendMessage(tab.id, { type: 'CANCEL_TRANSLATE_PAGE' });
+    }
+
+    console.log(`将页面翻译为: ${targetLanguage}`);
+
+    const translateResponse = await chrome.tabs.sendMessage(tab.id, {
+      type: 'TRANSLATE_PAGE',
+      sourceLanguage: preferences.sourceLanguage,
+      targetLanguage,
+    });
+
+    const isTranslated = !!(translateResponse && translateResponse.success);
+    this.setToggleMenuTitle(isTranslated);
+    this.notifyPopupsTranslationStatus(isTranslated, tab.id);
+  }
+
+  /**
+   * 切换页面翻译状态
+   */
+  async togglePageTranslation(tab) {
+    console.log('切换页面翻译状态:', tab.url);
+
+    // 检查URL是否可以翻译
+    if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') || 
+        tab.url.startsWith('moz-extension://') || tab.url.startsWith('about:')) {
+      console.log('无法在此页面执行翻译:', tab.url);
+      return;
+    }
+
+    // 获取用户语言偏好（站点设置了语言对时优先使用）
+    const { preferences: languagePreferences } = await this.getPageLanguagePreferences(tab.url);
+
+    console.log('使用语言偏好:', languagePreferences);
+
+    // 确保 content script 已加载
+    if (!(await this.ensureContentScript(tab))) {
+      return;
+    }
 
     // 发送消息到 content script 查询当前翻译状态
     try {
@@ -533,12 +1064,10 @@ class BackgroundService {
         console.log('取消翻译响应:', cancelResponse);
         
         // 更新菜单文字
-        chrome.contextMenus.update('toggle-translate-page', {
-          title: '全文翻译'
-        });
+        this.setToggleMenuTitle(false);
 
         // 通知所有popup页面更新状态
-        this.notifyPopupsTranslationStatus(false);
+        this.notifyPopupsTranslationStatus(false, tab.id);
       } else {
         // 当前未翻译，执行翻译
         console.log('开始页面翻译...', languagePreferences);
@@ -553,12 +1082,10 @@ class BackgroundService {
         
         if (translateResponse && translateResponse.success) {
           // 更新菜单文字
-          chrome.contextMenus.update('toggle-translate-page', {
-            title: '取消全文翻译'
-          });
+          this.setToggleMenuTitle(true);
 
           // 通知所有popup页面更新状态
-          this.notifyPopupsTranslationStatus(true);
+          this.notifyPopupsTranslationStatus(true, tab.id);
           
           console.log(`页面翻译完成，共翻译了 ${translateResponse.translatedCount || 0} 个文本片段`);
         } else {
@@ -570,15 +1097,127 @@ class BackgroundService {
     }
   }
 
+  /**
+   * 获取页面适用的语言偏好：全局语言偏好 + 站点语言对
+   * @returns {Promise<{preferences: Object, rule: Object|null}>}
+   */
+  async getPageLanguagePreferences(url) {
+    const preferences = await settingsService.getLanguagePreferences();
+    const rule = await siteRulesManager.getRuleForUrl(url);
+    return { preferences: siteRulesManager.applyLanguagePair(preferences, rule), rule };
+  }
+
+  /**
+   * 处理 content script 查询站点规则的请求
+   */
+  async handleGetSiteRule(message, sender, sendResponse) {
+    try {
+      const rule = await siteRulesManager.getRuleForUrl(message.url || sender.url || sender.tab?.url);
+      sendResponse({ success: true, rule });
+    } catch (error) {
+      console.error('获取站点规则失败:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 页面加载完成后应用站点规则：设置了自动翻译的站点直接翻译页面
+   */
+  async applySiteRule(tab) {
+    const { preferences, rule } = await this.getPageLanguagePreferences(tab.url);
+    if (!rule || !rule.autoTranslate || rule.neverTranslate) {
+      return;
+    }
+
+    if (!(await this.ensureContentScript(tab))) {
+      return;
+    }
+
+    console.log(`站点 ${rule.hostname} 已设置自动翻译:`, preferences);
+
+    const translateResponse = await chrome.tabs.sendMessage(tab.id, {
+      type: 'TRANSLATE_PAGE',
+      sourceLanguage: preferences.sourceLanguage,
+      targetLanguage: preferences.targetLanguage,
+      auto: true,
+    });
+
+    if (translateResponse && translateResponse.success && tab.active) {
+      this.setToggleMenuTitle(true);
+      this.notifyPopupsTranslationStatus(true, tab.id);
+    }
+  }
+
+  /**
+   * 确保标签页中的 content script 已就绪，未加载时注入并等待初始化
+   * @returns {Promise<boolean>} 是否就绪
+   */
+  async ensureContentScript(tab) {
+    let contentScriptReady = false;
+    try {
+      // 先尝试发送测试消息
+      const pingResponse = await chrome.tabs.sendMessage(tab.id, { type: 'PING' });
+      if (pingResponse && pingResponse.success) {
+        contentScriptReady = true;
+      }
+    } catch (error) {
+      console.log('Content script 未就绪，准备注入:', error.message);
+    }
+
+    if (!contentScriptReady) {
+      // content script 未加载，注入它
+      try {
+        await chrome.scripting.executeScript({
+          target: { tabId: tab.id, allFrames: true },
+          files: ['content-script.js'],
+        });
+        
+        console.log('Content script 注入成功，等待初始化...');
+        
+        // 等待 content script 初始化
+        let retries = 0;
+        const maxRetries = 10;
+        
+        while (retries < maxRetries) {
+          try {
+            await new Promise(resolve => setTimeout(resolve, 200));
+            const pingResponse = await chrome.tabs.sendMessage(tab.id, { type: 'PING' });
+            if (pingResponse && pingResponse.success) {
+              contentScriptReady = true;
+              console.log('Content script 初始化完成');
+              break;
+            }
+          } catch (error) {
+            retries++;
+            console.log(`等待 content script 初始化... (${retries}/${maxRetries})`);
+          }
+        }
+        
+        if (!contentScriptReady) {
+          console.error('Content script 初始化超时');
+          return false;
+        }
+      } catch (injectError) {
+        console.error('注入 content script 失败:', injectError);
+        return false;
+      }
+    }
+
+    return true;
+  }
+
   /**
    * 通知所有popup页面更新翻译状态
+   * @param {boolean} isTranslated - 页面是否已翻译
+   * @param {number} tabId - 状态所属的标签页，侧边栏据此只更新当前跟随的标签页
    */
-  async notifyPopupsTranslationStatus(isTranslated) {
+  async notifyPopupsTranslationStatus(isTranslated, tabId = null) {
     try {
-      // 发送消息到所有扩展页面（popup等）
+      // 发送消息到所有扩展页面（popup、侧边栏等）
       chrome.runtime.sendMessage({
         type: 'TRANSLATION_STATUS_CHANGED',
-        isTranslated: isTranslated
+        isTranslated: isTranslated,
+        tabId
       }).catch(() => {
         // 忽略没有监听器的错误
       });
@@ -588,17 +1227,20 @@ class BackgroundService {
   }
 
   /**
-   * 处理来自popup的右键菜单更新请求
+   * 处理来自popup / content script 的右键菜单更新请求
    */
-  handleUpdateContextMenu(message) {
+  handleUpdateContextMenu(message, sender) {
     try {
       const { isTranslated } = message;
       console.log('更新右键菜单状态:', isTranslated);
       
       // 更新菜单文字
-      chrome.contextMenus.update('toggle-translate-page', {
-        title: isTranslated ? '取消全文翻译' : '全文翻译'
-      });
+      this.setToggleMenuTitle(isTranslated);
+
+      // 来自页面的状态变化同步给侧边栏
+      if (sender.tab) {
+        this.notifyPopupsTranslationStatus(isTranslated, sender.tab.id);
+      }
     } catch (error) {
       console.error('更新右键菜单失败:', error);
     }
@@ -619,9 +1261,16 @@ class BackgroundService {
    * 处理标签页更新事件
    */
   handleTabUpdated(tabId, changeInfo, tab) {
-    // 只在页面完成加载时更新菜单状态
+    // 只在页面完成加载时更新菜单状态并应用站点规则
     if (changeInfo.status === 'complete') {
       console.log('标签页加载完成:', tabId, tab.url);
+
+      if (tab.url && /^https?:/.test(tab.url)) {
+        this.applySiteRule(tab).catch((error) => {
+          console.error('应用站点规则失败:', error);
+        });
+      }
+
       setTimeout(() => {
         this.updateContextMenuForTab(tabId);
       }, 500);
@@ -644,11 +1293,88 @@ class BackgroundService {
   handleStorageChanged(changes, areaName) {
     console.log('存储发生变化:', changes, '区域:', areaName);
 
-    // 如果语言偏好发生变化，通知所有 content scripts
-    if (changes.languagePreferences) {
-      this.notifyContentScripts('UPDATE_LANGUAGE_PREFERENCES', {
-        preferences: changes.languagePreferences.newValue,
+    // 站点规则变化时通知 content scripts 重新读取当前站点的规则
+    // （扩展设置与语言偏好的变化由 watchSettings 订阅处理）
+    if (changes.siteRules) {
+      this.notifyContentScripts('UPDATE_SITE_RULES', {});
+    }
+  }
+
+  /**
+   * 订阅设置服务：扩展设置与语言偏好变化时转发给所有 content scripts（content script 不能直接使用设置服务，且不含只供扩展自身使用的设置项），
+   * 界面语言变化时按新语言重建右键菜单，翻译后端变化时清空翻译缓存
+   */
+  watchSettings() {
+    settingsService.subscribe((settings, changedKeys) => {
+      const visibleKeys = changedKeys.filter((key) => !CONTENT_SCRIPT_HIDDEN_SETTINGS.includes(key));
+      if (visibleKeys.length === 0) return;
+      this.notifyContentScripts('UPDATE_EXTENSION_SETTINGS', {
+        settings: this.toContentScriptSettings(settings),
+        changedKeys: visibleKeys,
       });
+    });
+
+    settingsService.subscribe((settings) => {
+      this.handleUILanguageChanged(settings.uiLanguage);
+    }, ['uiLanguage']);
+
+    // 缓存键不含后端，切换后端链或服务地址后清空缓存，不再返回其他后端的译文
+    settingsService.subscribe(() => {
+      translationCache.clear();
+    }, ['providerChain', 'libreTranslateUrl']);
+
+    settingsService.subscribeLanguagePreferences((preferences) => {
+      this.notifyContentScripts('UPDATE_LANGUAGE_PREFERENCES', { preferences });
+    });
+  }
+
+  /**
+   * 切换界面语言并刷新右键菜单标题
+   */
+  async handleUILanguageChanged(uiLanguage) {
+    await this.i18nReady;
+    this.i18nReady = i18n.setUILanguage(uiLanguage);
+
+    if (await this.i18nReady) {
+      await this.createContextMenus();
+
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab) {
+        this.updateContextMenuForTab(tab.id);
+      }
+    }
+  }
+
+  /**
+   * 把顶层框架的页面翻译消息转发给同一标签页的所有框架
+   * 子框架只处理带 relayed 标记的页面翻译消息，顶层框架忽略转发回来的消息
+   */
+  relayToFrames(message, sender) {
+    if (!sender.tab || sender.frameId !== 0 || !message) return;
+
+    chrome.tabs.sendMessage(sender.tab.id, { ...message, relayed: true }).catch((error) => {
+      console.log('转发页面翻译消息失败:', error.message);
+    });
+  }
+
+  /**
+   * 把子框架的消息转发给同一标签页的顶层框架（附带子框架的 frameId），返回顶层框架的响应
+   */
+  async forwardToTopFrame(message, sender, sendResponse) {
+    if (!sender.tab) {
+      sendResponse({ success: false, error: '消息不是来自页面' });
+      return;
+    }
+
+    try {
+      const response = await chrome.tabs.sendMessage(
+        sender.tab.id,
+        { ...message, frameId: sender.frameId },
+        { frameId: 0 }
+      );
+      sendResponse(response || { success: true });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
     }
   }
 
@@ -673,18 +1399,25 @@ class BackgroundService {
   }
 
   /**
-   * 清理翻译器实例缓存
+   * 清理翻译器实例池
    */
   clearTranslatorCache() {
-    this.translatorInstances.clear();
+    translatorPool.clear();
     console.log('翻译器缓存已清理');
   }
 
   /**
-   * 获取翻译器缓存信息
+   * 获取缓存信息：翻译器实例池（容量、命中/未命中次数、各语言对空闲时长）、
+   * 持久化翻译缓存（条目数、字节数、命中率）、在途请求合并（请求数、被合并数）
+   * 与翻译调度队列（执行中、各优先级排队数、抢占次数）
    */
-  getTranslatorCacheInfo() {
-    return Array.from(this.translatorInstances.keys());
+  async getTranslatorCacheInfo() {
+    return {
+      translators: translatorPool.getStats(),
+      translations: await translationCache.getStats(),
+      coalescing: requestCoalescer.getStats(),
+      scheduler: translationScheduler.getStats(),
+    };
   }
 
   /**
@@ -694,7 +1427,8 @@ class BackgroundService {
     try {
       const { sourceLanguage, targetLanguage } = message;
 
-      // 使用translationCore检查可用性
+      // 先读取后端链，确保同步的可用性检查基于当前设置
+      await translationCore.getProviderChain();
       const isTranslatorAvailable = translationCore.isTranslatorAvailable();
       const isLanguageDetectorAvailable = translationCore.isLanguageDetectorAvailable();
 
@@ -720,13 +1454,8 @@ class BackgroundService {
         actualSourceLanguage = 'en'; // 检查可用性时使用默认语言
       }
 
-      // 使用translationCore检查可用性
-      let availability = 'available'; // 默认可用，具体检查由translationCore处理
-      
-      // 简单的语言对检查
-      if (!translationCore.isTranslatorAvailable()) {
-        availability = 'not-available';
-      }
+      // 按后端链查询语言对状态，任一后端可用即可翻译
+      const availability = await translationCore.checkAvailability(actualSourceLanguage, targetLanguage);
 
       sendResponse({
         success: true,
@@ -804,13 +1533,11 @@ class BackgroundService {
         return;
       }
 
-      // 创建翻译器实例
-      const translatorKey = `${actualSourceLanguage}-${targetLanguage}`;
+      // 预加载到共享实例池，后续翻译直接复用
+      const translatorKey = translatorPool.getKey(actualSourceLanguage, targetLanguage);
 
-      if (!this.translatorInstances.has(translatorKey)) {
-        const translator = await Translator.create({
-          sourceLanguage: actualSourceLanguage,
-          targetLanguage,
+      if (!translatorPool.has(actualSourceLanguage, targetLanguage)) {
+        await translatorPool.acquire(actualSourceLanguage, targetLanguage, {
           monitor(m) {
             // 监听下载进度
             m.addEventListener('downloadprogress', (event) => {
@@ -818,8 +1545,6 @@ class BackgroundService {
             });
           },
         });
-
-        this.translatorInstances.set(translatorKey, translator);
         console.log(`预加载翻译器成功: ${translatorKey}`);
       }
 
@@ -837,168 +1562,645 @@ class BackgroundService {
   }
 
   /**
-   * 处理流式翻译请求
-   * 需求: 4.1, 4.2, 4.3 - 流式翻译功能
+   * 处理长连接，按 Port 名称分发到流式翻译或批量翻译
+   * 需求: 4.1, 4.2 - 基于 chrome.runtime.Port 推送真实的流式增量
    */
-  async handleStreamingTranslateRequest(message, sender, sendResponse) {
-    try {
-      const { text, sourceLanguage, targetLanguage, requestId } = message;
+  handleConnect(port) {
+    if (port.name === PORT_NAMES.TRANSLATION_STREAM) {
+      this.handleStreamingConnect(port);
+    } else if (port.name === PORT_NAMES.TRANSLATION_BATCH) {
+      this.handleBatchConnect(port);
+    }
+  }
 
-      if (!text || text.trim().length === 0) {
-        sendResponse({ success: false, error: '翻译文本不能为空' });
-        return;
+  /**
+   * 跟踪长连接上发起的翻译请求，连接断开（如 popup 关闭、页面跳转）时取消该连接上的所有翻译
+   * @param {chrome.runtime.Port} port - 长连接
+   * @param {number|string} ownerId - 请求登记时使用的发送方标识，默认为连接所在标签页
+   * @returns {{emit: Function, track: Function}} emit 向连接推送消息；track(requestId, promise) 登记请求直至结束
+   */
+  createPortSession(port, ownerId = port.sender?.tab?.id) {
+    let disconnected = false;
+    const portRequestIds = new Set();
+
+    port.onDisconnect.addListener(() => {
+      disconnected = true;
+      for (const requestId of portRequestIds) {
+        this.cancelTranslations({ requestId, tabId: ownerId });
       }
+      portRequestIds.clear();
+    });
 
-      if (text.length > 5000) {
-        sendResponse({ success: false, error: '文本长度超过5000字符限制' });
-        return;
+    const emit = (payload) => {
+      if (disconnected) return;
+      try {
+        port.postMessage(payload);
+      } catch (error) {
+        console.log('发送翻译数据失败:', error.message);
       }
+    };
 
-      console.log(`开始流式翻译: ${sourceLanguage} -> ${targetLanguage}, 文本长度: ${text.length}`);
+    const track = (requestId, promise) => {
+      portRequestIds.add(requestId);
+      promise.finally(() => portRequestIds.delete(requestId));
+    };
 
-      // 检查浏览器支持
-      if (!translationCore.isTranslatorAvailable()) {
-        sendResponse({
-          success: false,
-          error: '当前浏览器版本不支持AI翻译功能，请升级到Chrome 138或更高版本',
-        });
+    return { emit, track };
+  }
+
+  /**
+   * 处理流式翻译长连接
+   */
+  handleStreamingConnect(port) {
+    const { emit, track } = this.createPortSession(port);
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'CANCEL_TRANSLATION') {
+        this.cancelTranslations({ requestId: message.requestId, tabId: port.sender?.tab?.id });
         return;
       }
 
-      // 检查语言检测器可用性（如果需要自动检测）
-      if (sourceLanguage === 'auto' && !translationCore.isLanguageDetectorAvailable()) {
-        sendResponse({
-          success: false,
-          error: '语言检测功能不可用，请升级浏览器或手动选择源语言',
+      if (message.type !== MESSAGE_TYPES.TRANSLATE_STREAMING) {
+        emit({
+          type: MESSAGE_TYPES.STREAMING_ERROR,
+          requestId: message.requestId,
+          error: '未知消息类型',
         });
         return;
       }
 
-      // 处理自动语言检测
-      let actualSourceLanguage = sourceLanguage;
-      if (sourceLanguage === 'auto') {
-        actualSourceLanguage = await this.detectLanguage(text);
-        if (!actualSourceLanguage) {
-          sendResponse({
-            success: false,
-            error: '语言检测失败，请手动选择源语言',
-          });
-          return;
-        }
+      const error = this.validateStreamingRequest(message);
+      if (error) {
+        emit({ type: MESSAGE_TYPES.STREAMING_ERROR, requestId: message.requestId, error });
+        return;
       }
 
-      // 源语言与目标语言一致（忽略大小写）时，不执行流式翻译，直接返回原文
-      const __norm = (s) => (s || '').toLowerCase().replace('_', '-').split('-')[0];
-      if (__norm(actualSourceLanguage) === __norm(targetLanguage)) {
-        sendResponse({
-          success: true,
-          streaming: false,
-          result: text,
-          sourceLanguage: actualSourceLanguage,
-          targetLanguage: targetLanguage
-        });
+      const requestId = message.requestId || this.generateRequestId();
+      track(requestId, this.runStreamingTranslation({ ...message, requestId }, emit, port.sender?.tab?.id));
+    });
+  }
+
+  /**
+   * 处理批量翻译长连接
+   * 客户端发送 TRANSLATE_BATCH { requestId, segments: [{ id, text }], sourceLanguage, targetLanguage, priority }，
+   * 每个片段完成时推送 BATCH_RESULT，全部结束后推送 BATCH_COMPLETE
+   */
+  handleBatchConnect(port) {
+    const { emit, track } = this.createPortSession(port);
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'CANCEL_TRANSLATION') {
+        this.cancelTranslations({ requestId: message.requestId, tabId: port.sender?.tab?.id });
         return;
       }
 
-      // 检查语言对可用性
-      // 简单检查翻译器可用性
-      if (!translationCore.isTranslatorAvailable()) {
-        sendResponse({
-          success: false,
-          error: `翻译器不可用，请升级浏览器`,
+      if (message.type !== MESSAGE_TYPES.TRANSLATE_BATCH) {
+        emit({
+          type: MESSAGE_TYPES.BATCH_ERROR,
+          requestId: message.requestId,
+          error: '未知消息类型',
         });
         return;
       }
 
-      // 发送开始流式翻译的响应
-      sendResponse({
-        success: true,
-        streaming: true,
-        requestId: requestId,
-      });
+      const error = this.validateBatchRequest(message);
+      if (error) {
+        emit({ type: MESSAGE_TYPES.BATCH_ERROR, requestId: message.requestId, error });
+        return;
+      }
 
-      // 执行流式翻译
-      // 使用 translationCore 进行翻译（模拟流式效果）
-      try {
-        const result = await translationCore.smartTranslate(text, actualSourceLanguage, targetLanguage);
-        
-        // 模拟流式输出效果
-        const chunks = result.result.split(' ');
-        let fullResult = '';
-        
-        for (let i = 0; i < chunks.length; i++) {
-          const chunk = (i === 0 ? '' : ' ') + chunks[i];
-          fullResult += chunk;
-          
-          // 发送流式数据块到请求方
-          if (sender.tab) {
-            chrome.tabs
-              .sendMessage(sender.tab.id, {
-                type: 'STREAMING_CHUNK',
-                requestId: requestId,
-                chunk: chunk,
-                fullResult: fullResult,
-                isComplete: i === chunks.length - 1,
-              })
-              .catch((error) => {
-                console.log('发送流式数据块失败:', error.message);
-              });
-          }
-          
-          // 添加小延迟模拟流式效果
-          if (i < chunks.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 50));
-          }
+      const requestId = message.requestId || this.generateRequestId();
+      track(requestId, this.runBatchTranslation({ ...message, requestId }, emit, port.sender?.tab?.id));
+    });
+  }
+
+  /**
+   * 校验批量翻译请求，返回错误信息或 null
+   */
+  validateBatchRequest(message) {
+    const { segments, sourceLanguage } = message;
+
+    if (!Array.isArray(segments) || segments.length === 0) {
+      return '翻译片段不能为空';
+    }
+
+    if (segments.length > TRANSLATOR_CONFIG.MAX_BATCH_SEGMENTS) {
+      return `单次批量翻译最多 ${TRANSLATOR_CONFIG.MAX_BATCH_SEGMENTS} 个片段`;
+    }
+
+    if (segments.some(segment => !segment || segment.id == null || typeof segment.text !== 'string')) {
+      return '翻译片段格式错误';
+    }
+
+    if (!translationCore.isTranslatorAvailable()) {
+      return '当前浏览器版本不支持AI翻译功能，请升级到Chrome 138或更高版本';
+    }
+
+    if (sourceLanguage === 'auto' && !translationCore.isLanguageDetectorAvailable()) {
+      return '语言检测功能不可用，请升级浏览器或手动选择源语言';
+    }
+
+    return null;
+  }
+
+  /**
+   * 执行批量翻译：所有片段同时进入调度队列，完成一个推送一个
+   */
+  async runBatchTranslation(message, emit, tabId = null) {
+    const { segments, sourceLanguage, targetLanguage, priority, requestId } = message;
+    const controller = this.registerRequest(requestId, tabId);
+    let completed = 0;
+    let failed = 0;
+
+    console.log(`开始批量翻译: ${sourceLanguage} -> ${targetLanguage}, 片段数: ${segments.length}`);
+
+    try {
+      await Promise.all(segments.map(async ({ id, text }) => {
+        if (!text.trim()) {
+          completed++;
+          emit({ type: MESSAGE_TYPES.BATCH_RESULT, requestId, id, success: true, result: text });
+          return;
         }
 
-        // 发送完成信号
-        if (sender.tab) {
-          chrome.tabs
-            .sendMessage(sender.tab.id, {
-              type: 'STREAMING_COMPLETE',
-              requestId: requestId,
-              fullResult: fullResult,
-              isComplete: true,
-            })
-            .catch((error) => {
-              console.log('发送流式完成信号失败:', error.message);
-            });
+        try {
+          const result = await this.scheduleTranslation(text, sourceLanguage, targetLanguage, {
+            priority,
+            tabId,
+            signal: controller.signal,
+          });
+
+          completed++;
+          emit({
+            type: MESSAGE_TYPES.BATCH_RESULT,
+            requestId,
+            id,
+            success: true,
+            result: result.result,
+            sourceLanguage: result.sourceLanguage,
+            fromCache: result.fromCache,
+            provider: result.provider,
+          });
+        } catch (error) {
+          // 取消的片段不再逐个推送，由 BATCH_COMPLETE 统一告知
+          if (translationCore.isAbortError(error)) return;
+
+          failed++;
+          emit({
+            type: MESSAGE_TYPES.BATCH_RESULT,
+            requestId,
+            id,
+            success: false,
+            error: this.getTranslateErrorMessage(error),
+          });
         }
+      }));
+
+      emit({
+        type: MESSAGE_TYPES.BATCH_COMPLETE,
+        requestId,
+        completed,
+        failed,
+        cancelled: controller.signal.aborted,
+      });
 
-        console.log('流式翻译完成:', fullResult.substring(0, 50) + (fullResult.length > 50 ? '...' : ''));
-      } catch (streamError) {
-        console.error('翻译失败:', streamError);
-
-        if (sender.tab) {
-          chrome.tabs
-            .sendMessage(sender.tab.id, {
-              type: 'STREAMING_ERROR',
-              requestId: requestId,
-              error: '翻译失败，请重试',
-            })
-            .catch((error) => {
-              console.log('发送翻译错误信号失败:', error.message);
+      console.log(`批量翻译结束: 成功 ${completed}，失败 ${failed}${controller.signal.aborted ? '，已取消' : ''}`);
+    } finally {
+      this.finishRequest(requestId, controller);
+    }
+  }
+
+  /**
+   * 处理流式翻译请求（一次性消息）
+   * 需求: 4.1, 4.2, 4.3 - 流式翻译功能
+   * 数据块推送给发起方：标签页通过 tabs.sendMessage，扩展页面（popup）通过 runtime.sendMessage
+   */
+  handleStreamingTranslateRequest(message, sender, sendResponse) {
+    const error = this.validateStreamingRequest(message);
+    if (error) {
+      sendResponse({ success: false, error });
+      return;
+    }
+
+    const requestId = message.requestId || this.generateRequestId();
+
+    // 发送开始流式翻译的响应
+    sendResponse({
+      success: true,
+      streaming: true,
+      requestId,
+    });
+
+    this.runStreamingTranslation({ ...message, requestId }, this.createStreamingEmitter(sender), sender.tab?.id);
+  }
+
+  /**
+   * 校验流式翻译请求
+   * @returns {string|null} 错误信息，校验通过时返回 null
+   */
+  validateStreamingRequest(message) {
+    const { text, sourceLanguage } = message;
+
+    if (!text || text.trim().length === 0) {
+      return '翻译文本不能为空';
+    }
+
+    if (!translationCore.isTranslatorAvailable()) {
+      return '当前浏览器版本不支持AI翻译功能，请升级到Chrome 138或更高版本';
+    }
+
+    if (sourceLanguage === 'auto' && !translationCore.isLanguageDetectorAvailable()) {
+      return '语言检测功能不可用，请升级浏览器或手动选择源语言';
+    }
+
+    return null;
+  }
+
+  /**
+   * 创建一次性消息模式下的流式数据推送函数
+   */
+  createStreamingEmitter(sender) {
+    return (payload) => {
+      const sending = sender.tab
+        ? chrome.tabs.sendMessage(sender.tab.id, payload, { frameId: sender.frameId ?? 0 })
+        : chrome.runtime.sendMessage(payload);
+
+      sending.catch((error) => {
+        console.log('发送流式数据失败:', error.message);
+      });
+    };
+  }
+
+  /**
+   * 执行流式翻译，通过 emit 推送 STREAMING_CHUNK / STREAMING_COMPLETE / STREAMING_ERROR
+   * @param {Object} options - 可选参数
+   * @param {string} options.priority - 调度优先级，默认 interactive（popup/划词等用户交互）
+   * @param {boolean} options.preemptible - 是否允许被抢占，默认 false；被抢占后重新翻译时只推送超出已推送部分的增量
+   */
+  async runStreamingTranslation(message, emit, tabId = null, options = {}) {
+    const { text, sourceLanguage, targetLanguage, requestId } = message;
+    const { priority = TRANSLATION_PRIORITIES.INTERACTIVE, preemptible = false } = options;
+
+    console.log(`开始流式翻译: ${sourceLanguage} -> ${targetLanguage}, 文本长度: ${text.length}`);
+
+    const controller = this.registerRequest(requestId, tabId);
+    const { signal } = controller;
+
+    try {
+      // 已推送的译文；被抢占后重新翻译时从头输出，已推送的部分不再重复推送
+      let emitted = '';
+
+      const result = await translationScheduler.schedule((taskSignal) => translationCore.smartTranslateStreaming(
+        text,
+        sourceLanguage,
+        targetLanguage,
+        (chunk, fullResult) => {
+          if (fullResult.length <= emitted.length || !fullResult.startsWith(emitted)) return;
+
+          emit({
+            type: MESSAGE_TYPES.STREAMING_CHUNK,
+            requestId,
+            chunk: fullResult.slice(emitted.length),
+            fullResult,
+            isComplete: false,
+          });
+          emitted = fullResult;
+        },
+        {
+          signal: taskSignal,
+          // 长文本分段翻译时推送片段进度
+          onProgress: (completed, total) => {
+            emit({
+              type: MESSAGE_TYPES.STREAMING_PROGRESS,
+              requestId,
+              completed,
+              total,
             });
+          },
         }
-      }
+      ), {
+        priority,
+        tabId,
+        signal,
+        preemptible,
+      });
+
+      emit({
+        type: MESSAGE_TYPES.STREAMING_COMPLETE,
+        requestId,
+        fullResult: result.result,
+        sourceLanguage: result.sourceLanguage,
+        targetLanguage: result.targetLanguage,
+        fromCache: result.fromCache,
+        provider: result.provider,
+        glossaryTerms: result.glossaryTerms,
+        isComplete: true,
+      });
+
+      console.log('流式翻译完成:', result.result.substring(0, 50) + (result.result.length > 50 ? '...' : ''));
     } catch (error) {
-      console.error('流式翻译请求处理失败:', error);
+      if (translationCore.isAbortError(error)) {
+        console.log('流式翻译已取消:', requestId);
+        emit({
+          type: MESSAGE_TYPES.STREAMING_ERROR,
+          requestId,
+          cancelled: true,
+          error: '翻译已取消',
+        });
+        return;
+      }
+
+      console.error('流式翻译失败:', error);
+
+      emit({
+        type: MESSAGE_TYPES.STREAMING_ERROR,
+        requestId,
+        error: this.getTranslateErrorMessage(error),
+      });
+    } finally {
+      this.finishRequest(requestId, controller);
+    }
+  }
+
+  /**
+   * 根据错误类型提供更具体的错误信息
+   */
+  getTranslateErrorMessage(error) {
+    const message = error?.message || '';
+
+    if (message.includes('没有可用的翻译后端')) {
+      return '没有可用的翻译后端支持该语言对，可在设置中添加备用后端';
+    } else if (message.includes('not supported')) {
+      return '不支持的语言对';
+    } else if (message.includes('model')) {
+      return '翻译模型不可用，请稍后再试';
+    } else if (message.includes('network')) {
+      return '网络错误，请检查网络连接';
+    }
+
+    return '翻译失败，请重试';
+  }
 
-      let errorMessage = '翻译失败，请重试';
+  // ==================== 外部调用接口 ====================
+  // 请求/响应格式见 EXTERNAL_API.md
 
-      if (error.message.includes('not supported')) {
-        errorMessage = '不支持的语言对';
-      } else if (error.message.includes('model')) {
-        errorMessage = '翻译模型不可用，请稍后再试';
-      } else if (error.message.includes('network')) {
-        errorMessage = '网络错误，请检查网络连接';
+  /**
+   * 识别外部调用方：扩展按扩展 ID，网页按源（origin）；无法解析来源时 origin 为空字符串，会被白名单拒绝
+   * @returns {{key: string, extensionId: string|null, origin: string|null}}
+   */
+  getExternalCaller(sender) {
+    if (sender.id) {
+      return { key: `extension:${sender.id}`, extensionId: sender.id, origin: null };
+    }
+
+    let origin = sender.origin || '';
+    if (!origin && sender.url) {
+      try {
+        origin = new URL(sender.url).origin;
+      } catch (error) {
+        console.warn('无法解析外部调用方的 URL:', sender.url);
       }
+    }
+    return { key: `origin:${origin}`, extensionId: null, origin };
+  }
 
-      sendResponse({
+  /**
+   * 校验外部调用方是否在设置的白名单中，并占用一次限流额度
+   * @returns {Promise<Object|null>} 拒绝时返回错误响应，允许时返回 null
+   */
+  async authorizeExternalCaller(caller) {
+    const settings = await settingsService.getSettings();
+
+    const allowed = caller.extensionId
+      ? settings.externalAllowedExtensionIds.includes(caller.extensionId)
+      : settings.externalAllowedOrigins.includes(caller.origin);
+
+    if (!allowed) {
+      console.warn('拒绝未授权的外部调用:', caller.key);
+      return { success: false, code: EXTERNAL_ERROR_CODES.FORBIDDEN, error: '调用方不在白名单中' };
+    }
+
+    const quota = rateLimiter.consume(caller.key, settings.externalRateLimit);
+    if (!quota.allowed) {
+      return {
         success: false,
-        error: errorMessage,
+        code: EXTERNAL_ERROR_CODES.RATE_LIMITED,
+        error: '调用过于频繁，请稍后重试',
+        retryAfterMs: quota.retryAfterMs,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * 外部请求在本扩展内登记使用的 ID，按调用方隔离，避免不同调用方的 requestId 冲突
+   */
+  getExternalRequestId(caller, requestId) {
+    return `external:${caller.key}:${requestId || this.generateRequestId()}`;
+  }
+
+  /**
+   * 校验外部翻译请求
+   * @returns {string|null} 错误信息，校验通过时返回 null
+   */
+  validateExternalTranslateRequest(message) {
+    if (typeof message.text !== 'string') {
+      return 'text 必须为字符串';
+    }
+
+    if (!message.targetLanguage || typeof message.targetLanguage !== 'string') {
+      return '缺少目标语言 targetLanguage';
+    }
+
+    return this.validateStreamingRequest({ ...message, sourceLanguage: message.sourceLanguage || 'auto' });
+  }
+
+  /**
+   * 处理外部一次性消息（chrome.runtime.sendMessage(extensionId, ...)）
+   */
+  handleExternalMessage(message, sender, sendResponse) {
+    // 识别调用方也放在 Promise 链中，任何异常都会回复错误响应
+    Promise.resolve()
+      .then(async () => {
+        const caller = this.getExternalCaller(sender);
+        const rejection = await this.authorizeExternalCaller(caller);
+        return rejection || this.handleExternalRequest(message || {}, caller);
+      })
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('处理外部请求失败:', error);
+        sendResponse({ success: false, code: EXTERNAL_ERROR_CODES.INTERNAL_ERROR, error: error.message });
       });
+
+    return true; // 保持消息通道开放
+  }
+
+  /**
+   * 分发外部一次性请求
+   * @returns {Promise<Object>} 响应
+   */
+  async handleExternalRequest(message, caller) {
+    switch (message.type) {
+      case EXTERNAL_REQUEST_TYPES.TRANSLATE:
+        return this.handleExternalTranslate(message, caller);
+
+      case EXTERNAL_REQUEST_TYPES.DETECT_LANGUAGE:
+        return this.handleExternalDetectLanguage(message);
+
+      case EXTERNAL_REQUEST_TYPES.LIST_LANGUAGE_PAIRS:
+        return this.handleExternalListLanguagePairs();
+
+      case EXTERNAL_REQUEST_TYPES.CANCEL: {
+        const cancelled = this.cancelTranslations({
+          requestId: this.getExternalRequestId(caller, message.requestId),
+        });
+        return { success: true, cancelled };
+      }
+
+      default:
+        return { success: false, code: EXTERNAL_ERROR_CODES.INVALID_REQUEST, error: '未知请求类型' };
+    }
+  }
+
+  /**
+   * 外部翻译请求，与扩展内翻译共用合并器、调度队列和缓存；
+   * 按可见区域优先级排队，不抢占用户自己的交互翻译，同一调用方的请求在调度器中单独轮转
+   */
+  async handleExternalTranslate(message, caller) {
+    const error = this.validateExternalTranslateRequest(message);
+    if (error) {
+      return { success: false, code: EXTERNAL_ERROR_CODES.INVALID_REQUEST, error };
+    }
+
+    const { text, sourceLanguage = 'auto', targetLanguage } = message;
+    const requestId = this.getExternalRequestId(caller, message.requestId);
+    const controller = this.registerRequest(requestId, caller.key);
+
+    try {
+      const result = await this.scheduleTranslation(text, sourceLanguage, targetLanguage, {
+        priority: TRANSLATION_PRIORITIES.VISIBLE,
+        tabId: caller.key,
+        signal: controller.signal,
+      });
+
+      return {
+        success: true,
+        result: result.result,
+        sourceLanguage: result.sourceLanguage,
+        targetLanguage: result.targetLanguage,
+        fromCache: result.fromCache,
+        provider: result.provider,
+        glossaryTerms: result.glossaryTerms,
+      };
+    } catch (error) {
+      if (translationCore.isAbortError(error)) {
+        return { success: false, code: EXTERNAL_ERROR_CODES.CANCELLED, error: '翻译已取消' };
+      }
+
+      console.error('外部翻译请求失败:', error);
+      return {
+        success: false,
+        code: EXTERNAL_ERROR_CODES.TRANSLATION_FAILED,
+        error: this.getTranslateErrorMessage(error),
+      };
+    } finally {
+      this.finishRequest(requestId, controller);
+    }
+  }
+
+  /**
+   * 外部语言检测请求
+   */
+  async handleExternalDetectLanguage(message) {
+    if (typeof message.text !== 'string' || message.text.trim().length === 0) {
+      return { success: false, code: EXTERNAL_ERROR_CODES.INVALID_REQUEST, error: '检测文本不能为空' };
+    }
+
+    if (!translationCore.isLanguageDetectorAvailable()) {
+      return { success: false, code: EXTERNAL_ERROR_CODES.DETECTION_FAILED, error: '语言检测功能不可用' };
+    }
+
+    const detected = await translationCore.detectLanguageWithConfidence(message.text);
+    if (!detected) {
+      return { success: false, code: EXTERNAL_ERROR_CODES.DETECTION_FAILED, error: '无法识别文本语言' };
     }
+
+    return { success: true, language: detected.language, confidence: detected.confidence };
+  }
+
+  /**
+   * 列出后端链中各翻译后端支持的语言对及状态
+   */
+  async handleExternalListLanguagePairs() {
+    return {
+      success: true,
+      autoDetect: translationCore.isLanguageDetectorAvailable(),
+      pairs: await translationCore.getSupportedPairs(),
+    };
+  }
+
+  /**
+   * 处理外部长连接（chrome.runtime.connect(extensionId)），用于流式翻译
+   * 推送的消息与扩展内流式翻译相同（STREAMING_CHUNK / STREAMING_PROGRESS / STREAMING_COMPLETE / STREAMING_ERROR），
+   * requestId 为调用方传入的原值；连接断开时取消该连接上的所有翻译
+   */
+  handleExternalConnect(port) {
+    const caller = this.getExternalCaller(port.sender);
+    const { emit, track } = this.createPortSession(port, caller.key);
+
+    port.onMessage.addListener(async (message) => {
+      const clientRequestId = message?.requestId;
+      const requestId = this.getExternalRequestId(caller, clientRequestId);
+
+      if (message?.type === EXTERNAL_REQUEST_TYPES.CANCEL) {
+        this.cancelTranslations({ requestId });
+        return;
+      }
+
+      const rejection = await this.authorizeExternalCaller(caller);
+      if (rejection) {
+        emit({ ...rejection, type: MESSAGE_TYPES.STREAMING_ERROR, requestId: clientRequestId });
+        return;
+      }
+
+      if (message?.type !== EXTERNAL_REQUEST_TYPES.TRANSLATE) {
+        emit({
+          type: MESSAGE_TYPES.STREAMING_ERROR,
+          requestId: clientRequestId,
+          code: EXTERNAL_ERROR_CODES.INVALID_REQUEST,
+          error: '未知请求类型',
+        });
+        return;
+      }
+
+      const error = this.validateExternalTranslateRequest(message);
+      if (error) {
+        emit({
+          type: MESSAGE_TYPES.STREAMING_ERROR,
+          requestId: clientRequestId,
+          code: EXTERNAL_ERROR_CODES.INVALID_REQUEST,
+          error,
+        });
+        return;
+      }
+
+      // 推送给调用方时换回其传入的 requestId，并为失败消息补上错误码
+      const externalEmit = (payload) => {
+        const response = { ...payload, requestId: clientRequestId };
+        if (payload.type === MESSAGE_TYPES.STREAMING_ERROR) {
+          response.code = payload.cancelled ? EXTERNAL_ERROR_CODES.CANCELLED : EXTERNAL_ERROR_CODES.TRANSLATION_FAILED;
+        }
+        emit(response);
+      };
+
+      // 与 translate 一样排在用户自己的交互翻译之后，并允许被用户的交互翻译抢占
+      track(requestId, this.runStreamingTranslation(
+        { ...message, sourceLanguage: message.sourceLanguage || 'auto', requestId },
+        externalEmit,
+        caller.key,
+        { priority: TRANSLATION_PRIORITIES.VISIBLE, preemptible: true }
+      ));
+    });
   }
 }
 
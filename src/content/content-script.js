@@ -1,6 +1,137 @@
 /* Content Script - 处理网页文本选择和翻译覆盖层 */
 /* 需求: 1.1, 1.2, 1.3 - 网页文本选择翻译功能 */
 
+/**
+ * 收集根节点下所有开放的 Shadow Root（包括嵌套的），按文档顺序
+ * querySelectorAll、TreeWalker 与 MutationObserver 都不会进入 Shadow Root，页面翻译需要逐个处理
+ * @param {Node} root - 元素、文档或 Shadow Root
+ * @returns {Array<ShadowRoot>}
+ */
+function collectShadowRoots(root) {
+  const roots = []
+
+  const visit = (scope) => {
+    const walker = document.createTreeWalker(scope, NodeFilter.SHOW_ELEMENT)
+    for (let node = walker.currentNode; node; node = walker.nextNode()) {
+      if (node.shadowRoot) {
+        roots.push(node.shadowRoot)
+        visit(node.shadowRoot)
+      }
+    }
+  }
+
+  if (root) visit(root)
+  return roots
+}
+
+/**
+ * DOM 修改日志 - 翻译期间对页面的文本、属性与节点修改都经由它执行并记录，
+ * rollback 时倒序撤销，页面恢复为翻译前的状态
+ * 节点修改（插入、移动、移除）统一记录节点原来的父节点与下一个兄弟节点，撤销时放回原处；
+ * 原本不在页面中的节点（扩展创建的元素）撤销时移除
+ */
+class DomChangeJournal {
+  constructor() {
+    this.entries = []
+  }
+
+  get size() {
+    return this.entries.length
+  }
+
+  /**
+   * 修改文本节点内容
+   */
+  setText(node, value) {
+    if (node.data === value) return
+    this.entries.push({ type: 'text', node, oldValue: node.data })
+    node.data = value
+  }
+
+  /**
+   * 设置属性
+   */
+  setAttribute(element, name, value) {
+    const oldValue = element.getAttribute(name)
+    if (oldValue === value) return
+    this.entries.push({ type: 'attribute', element, name, oldValue })
+    element.setAttribute(name, value)
+  }
+
+  /**
+   * 移除属性
+   */
+  removeAttribute(element, name) {
+    if (!element.hasAttribute(name)) return
+    this.entries.push({ type: 'attribute', element, name, oldValue: element.getAttribute(name) })
+    element.removeAttribute(name)
+  }
+
+  /**
+   * 插入或移动节点到 reference 之前（reference 为 null 时追加到末尾）
+   */
+  insertBefore(parent, node, reference = null) {
+    this.entries.push({ type: 'node', node, parent: node.parentNode, nextSibling: node.nextSibling })
+    parent.insertBefore(node, reference)
+  }
+
+  appendChild(parent, node) {
+    this.insertBefore(parent, node, null)
+  }
+
+  /**
+   * 从页面移除节点
+   */
+  remove(node) {
+    if (!node.parentNode) return
+    this.entries.push({ type: 'node', node, parent: node.parentNode, nextSibling: node.nextSibling })
+    node.remove()
+  }
+
+  /**
+   * 倒序撤销所有修改并清空日志
+   * 页面自身在翻译期间也修改了 DOM 时（如单页应用重新渲染），无法放回原处的节点追加到原父节点末尾
+   */
+  rollback() {
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      try {
+        this.undo(this.entries[i])
+      } catch (error) {
+        console.warn('撤销 DOM 修改失败:', error)
+      }
+    }
+    this.entries = []
+  }
+
+  undo(entry) {
+    switch (entry.type) {
+      case 'text':
+        entry.node.data = entry.oldValue
+        break
+
+      case 'attribute':
+        if (entry.oldValue === null) {
+          entry.element.removeAttribute(entry.name)
+        } else {
+          entry.element.setAttribute(entry.name, entry.oldValue)
+        }
+        break
+
+      case 'node': {
+        if (!entry.parent) {
+          entry.node.remove()
+          break
+        }
+        const reference = entry.nextSibling && entry.nextSibling.parentNode === entry.parent
+          ? entry.nextSibling
+          : null
+        entry.parent.insertBefore(entry.node, reference)
+        break
+      }
+    }
+  }
+}
+
 // 内联可视区域翻译观察器（基于 IntersectionObserver + MutationObserver）
 // 说明：不向 window 暴露任何全局对象
 class VisibleTranslationObserver {
@@ -17,6 +148,8 @@ class VisibleTranslationObserver {
 
     this.translate = options.translate || (async () => '');
     this.apply = options.apply || (() => {});
+    // 停止时回调，用于取消已发往后台、尚未完成的翻译
+    this.onStop = options.onStop || (() => {});
 
     this._io = null;
     this._mo = null;
@@ -29,6 +162,12 @@ class VisibleTranslationObserver {
       translating: 'data-i18n-io-translating',
       translated: 'data-i18n-io-translated',
     };
+    // 标记属性经由日志写入，停止时全部移除
+    this._markers = new DomChangeJournal();
+    // 已入队扫描的根节点（不在页面元素上留下属性）
+    this._queuedRoots = new WeakSet();
+    // 已监听的 Shadow Root（MutationObserver 不会进入 Shadow Root，需要逐个监听）
+    this._shadowRoots = new WeakSet();
 
     this._onIntersect = this._onIntersect.bind(this);
     this._onMutations = this._onMutations.bind(this);
@@ -49,14 +188,14 @@ class VisibleTranslationObserver {
       threshold: this.config.threshold,
     });
 
-    // 初始扫描改为分帧/空闲分批执行
-    this._enqueueRoot(document.body);
-
     this._mo = new MutationObserver(this._onMutations);
     this._mo.observe(document.documentElement || document.body, {
       childList: true,
       subtree: true,
     });
+
+    // 初始扫描改为分帧/空闲分批执行（Shadow Root 在入队时一并监听）
+    this._enqueueRoot(document.body);
   }
 
   stop() {
@@ -73,17 +212,23 @@ class VisibleTranslationObserver {
     }
 
     this._queue.length = 0;
+    this._jobs.length = 0;
     this._running = 0;
+    this._queuedRoots = new WeakSet();
+    this._shadowRoots = new WeakSet();
+
+    // 移除留在页面元素上的标记属性
+    this._markers.rollback();
+
+    try { this.onStop(); } catch {}
   }
 
-  // 将待扫描根节点入队，按帧/空闲时间批处理
+  // 将待扫描根节点（元素或 Shadow Root）入队，按帧/空闲时间批处理
   _enqueueRoot(root) {
-    if (!root || !(root instanceof Element) || this._stopped) return;
-    // 避免重复入队（使用不可枚举属性做一次性标记）
-    if (root.__i18nScanQueued) return;
-    try {
-      Object.defineProperty(root, '__i18nScanQueued', { value: true, configurable: true });
-    } catch {}
+    if (!root || !(root instanceof Element || root instanceof ShadowRoot) || this._stopped) return;
+    // 避免重复入队
+    if (this._queuedRoots.has(root)) return;
+    this._queuedRoots.add(root);
     const job = this._prepareJob(root);
     if (job.nodes.length === 0) return;
     this._jobs.push(job);
@@ -97,9 +242,22 @@ class VisibleTranslationObserver {
       const list = root.querySelectorAll(this.config.selector);
       for (let i = 0; i < list.length; i++) nodes.push(list[i]);
     } catch {}
+    // 子树中的 Shadow Root 单独监听并入队扫描
+    for (const shadowRoot of collectShadowRoots(root)) {
+      this._watchShadowRoot(shadowRoot);
+    }
     return { nodes, idx: 0 };
   }
 
+  _watchShadowRoot(shadowRoot) {
+    if (this._shadowRoots.has(shadowRoot) || !this._mo) return;
+    this._shadowRoots.add(shadowRoot);
+    try {
+      this._mo.observe(shadowRoot, { childList: true, subtree: true });
+    } catch {}
+    this._enqueueRoot(shadowRoot);
+  }
+
   _schedule() {
     if (this._scheduled || this._stopped) return;
     this._scheduled = true;
@@ -157,6 +315,11 @@ class VisibleTranslationObserver {
         tag === 'LINK') {
       return false;
     }
+    // 扩展插入的译文与被隐藏的原文，以及已包含译文的元素
+    if (el.closest('.translation-append, .translation-original') ||
+        el.querySelector('.translation-append, .translation-original')) {
+      return false;
+    }
     // 已处理状态快速排除
     if (el.getAttribute(this.flags.observed) === '1' ||
         el.getAttribute(this.flags.translating) === '1' ||
@@ -189,7 +352,7 @@ class VisibleTranslationObserver {
   }
 
   _observe(el) {
-    el.setAttribute(this.flags.observed, '1');
+    this._markers.setAttribute(el, this.flags.observed, '1');
     if (this._io) {
       try { this._io.observe(el); } catch {}
     }
@@ -238,38 +401,52 @@ class VisibleTranslationObserver {
         continue;
       }
 
+      // 祖先或后代元素已整体翻译（或正在翻译）时跳过，避免重复显示译文
+      if (this._overlapsTranslated(el)) {
+        continue;
+      }
+
       const text = (el.innerText || '').replace(/\s+/g, ' ').trim();
       if (!text || text.length < this.config.minLen || text.length > this.config.maxLen) {
         continue;
       }
 
-      el.setAttribute(this.flags.translating, '1');
+      this._markers.setAttribute(el, this.flags.translating, '1');
 
       this._push(async () => {
         try {
-          const translated = await this.translate(text);
+          const translated = await this.translate(text, el);
           if (this._stopped) return;
           if (!el.isConnected) return;
 
           const current = (el.innerText || '').replace(/\s+/g, ' ').trim();
           if (current !== text) {
-            el.removeAttribute(this.flags.translating);
             return;
           }
 
           if (translated && translated !== text) {
             this.apply(el, translated);
-            el.setAttribute(this.flags.translated, '1');
+            this._markers.setAttribute(el, this.flags.translated, '1');
           }
         } catch {
           // 保持可重试
         } finally {
-          el.removeAttribute(this.flags.translating);
+          if (!this._stopped) {
+            this._markers.removeAttribute(el, this.flags.translating);
+          }
         }
       });
     }
   }
 
+  _overlapsTranslated(el) {
+    const marked = `[${this.flags.translating}="1"], [${this.flags.translated}="1"]`;
+    return !!(
+      el.parentElement?.closest(`${marked}, .translation-original`) ||
+      el.querySelector(`${marked}, .translation-append, .translation-original`)
+    );
+  }
+
   _onMutations(mutations) {
     if (this._stopped) return;
 
@@ -304,6 +481,399 @@ class VisibleTranslationObserver {
   }
 }
 
+/**
+ * 页面译文显示 - 保存每处原文与译文，切换显示方式时直接重新渲染，无需重新翻译
+ * 显示方式（设置 translationDisplayMode）：
+ * - inline：原文后追加 [译文]
+ * - block：译文作为块显示在段落下方
+ * - replace：译文替换原文，悬停显示原文
+ * - translation-only：仅显示译文，快捷键切换回原文
+ * 需要隐藏原文时把原文节点移入隐藏的 .translation-original 元素，恢复时原样移回
+ */
+class BilingualRenderer {
+  /**
+   * @param {DomChangeJournal} journal - 页面修改经由它执行，取消翻译时由调用方统一撤销
+   */
+  constructor(journal, mode = 'inline') {
+    this.journal = journal
+    this.mode = mode
+    this.showOriginal = false // 快捷键切换：只显示原文
+    this.records = new Map() // 第一个原文节点 -> { nodes, original, translation, isError, element, wrapper }
+  }
+
+  /**
+   * 添加或更新一处译文
+   * @param {Node|Array<Node>} nodes - 原文：单个节点，或同一父元素下相邻的一组节点，译文插在最后一个节点之后
+   * @param {string|Object} translation - 纯文本译文，或 BlockSegmenter.rebuild 返回的 { text, fragment }
+   * @param {boolean} isError - 翻译失败，只显示失败提示
+   */
+  add(nodes, translation, isError = false) {
+    const list = Array.isArray(nodes) ? nodes : [nodes]
+    let record = this.records.get(list[0])
+    if (!record) {
+      // 原文在插入译文前读取，悬停时显示
+      const original = list.map(node => node.textContent).join('').replace(/\s+/g, ' ').trim()
+      record = { nodes: list, original, translation: null, isError: false, element: null, wrapper: null }
+      this.records.set(list[0], record)
+    }
+
+    record.translation = typeof translation === 'string' ? { text: translation, fragment: null } : translation
+    record.isError = isError
+
+    if (!record.element || !record.element.isConnected) {
+      // 原文被隐藏时插在 wrapper 之后
+      const anchor = record.wrapper || record.nodes[record.nodes.length - 1]
+      record.element = document.createElement('span')
+      this.journal.insertBefore(anchor.parentNode, record.element, anchor.nextSibling)
+    }
+
+    this.ensureStyle(record.element.getRootNode())
+    this.render(record)
+  }
+
+  /**
+   * 切换显示方式，已翻译的内容立即按新方式显示
+   */
+  setMode(mode) {
+    if (mode === this.mode) return
+    this.mode = mode
+    this.showOriginal = false
+    this.renderAll()
+  }
+
+  /**
+   * 在原文与译文之间切换
+   * @param {boolean} showOriginal - 指定切换后的状态，省略时取反
+   * @returns {boolean} 切换后是否只显示原文
+   */
+  toggleOriginal(showOriginal = !this.showOriginal) {
+    this.showOriginal = showOriginal
+    this.renderAll()
+    return this.showOriginal
+  }
+
+  renderAll() {
+    for (const [node, record] of this.records) {
+      // 页面移除了原文（如单页应用切换内容）时丢弃记录；被隐藏的原文在 wrapper 中，仍算作在页面上
+      if (!node.isConnected) {
+        this.records.delete(node)
+        continue
+      }
+      this.render(record)
+    }
+  }
+
+  /**
+   * 是否已有该节点开头的译文
+   */
+  has(node) {
+    return this.records.has(node)
+  }
+
+  render(record) {
+    const { element, isError, translation } = record
+    const translationOnly = this.mode === 'replace' || this.mode === 'translation-only'
+
+    this.setOriginalHidden(record, translationOnly && !isError && !this.showOriginal)
+
+    element.className = `translation-append translated-text translation-${this.mode}`
+    element.hidden = this.showOriginal
+    element.title = this.mode === 'replace' && !isError ? record.original : ''
+    element.style.cssText = isError ? 'color: #f56c6c; font-size: 12px;' : ''
+
+    if (isError) {
+      element.textContent = ' [翻译失败]'
+      return
+    }
+
+    // 带格式的译文每次渲染复制一份，保存的片段不进入页面
+    const content = translation.fragment
+      ? translation.fragment.cloneNode(true)
+      : document.createTextNode(translation.text)
+    if (this.mode === 'inline') {
+      element.replaceChildren(' [', content, ']')
+    } else {
+      element.replaceChildren(content)
+    }
+  }
+
+  /**
+   * 隐藏或恢复原文节点
+   */
+  setOriginalHidden(record, hidden) {
+    if (hidden && !record.wrapper) {
+      const nodes = record.nodes.filter(node => node.isConnected)
+      if (nodes.length === 0) return
+
+      const wrapper = document.createElement('span')
+      wrapper.className = 'translation-original'
+      wrapper.hidden = true
+
+      this.journal.insertBefore(nodes[0].parentNode, wrapper, nodes[0])
+      for (const node of nodes) {
+        this.journal.appendChild(wrapper, node)
+      }
+      record.wrapper = wrapper
+    } else if (!hidden && record.wrapper) {
+      const wrapper = record.wrapper
+      while (wrapper.firstChild) {
+        this.journal.insertBefore(wrapper.parentNode, wrapper.firstChild, wrapper)
+      }
+      this.journal.remove(wrapper)
+      record.wrapper = null
+    }
+  }
+
+  /**
+   * 丢弃所有记录（译文元素由 DOM 修改日志撤销时移除）
+   */
+  reset() {
+    this.records.clear()
+    this.showOriginal = false
+  }
+
+  get size() {
+    return this.records.size
+  }
+
+  /**
+   * 注入译文样式；页面样式不会进入 Shadow Root，其中的译文在所在的 Shadow Root 中另外注入
+   * @param {Document|ShadowRoot} root - 译文所在的根节点
+   */
+  ensureStyle(root = document) {
+    const scope = root instanceof ShadowRoot ? root : document
+    if (scope.getElementById('chrome-ai-translator-bilingual-style')) return
+
+    const style = document.createElement('style')
+    style.id = 'chrome-ai-translator-bilingual-style'
+    style.textContent = `
+      .translation-append.translation-block {
+        display: block;
+        margin: 4px 0;
+        opacity: 0.85;
+      }
+      .translation-append.translation-replace {
+        cursor: help;
+      }
+      .translation-append[hidden],
+      .translation-original[hidden] {
+        display: none !important;
+      }
+    `
+    this.journal.appendChild(scope === document ? document.head : scope, style)
+  }
+}
+
+/**
+ * 块级分段 - 按块元素把页面文本组织为段落单元，单元内的行内元素转为编号标签一起翻译，保留上下文
+ * 单元文本示例：'Read the <0>docs</0> and run <1/> first'
+ * - <n>…</n>：有文本的行内元素（链接、强调等），译文中按标签位置重建
+ * - <n/>：代码、图片、换行等不翻译的元素，原样复制
+ * 译文中的标签缺失、重复或嵌套错误时退回为不带格式的纯文本译文
+ */
+class BlockSegmenter {
+  constructor() {
+    // 行内元素：与相邻文本组成同一个翻译单元
+    this.inlineTags = new Set([
+      'A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'DATA', 'DEL', 'DFN', 'EM', 'FONT', 'I', 'INS', 'LABEL',
+      'MARK', 'Q', 'RUBY', 'S', 'SMALL', 'SPAN', 'STRIKE', 'STRONG', 'SUB', 'SUP', 'TIME', 'TT', 'U'
+    ])
+    // 不翻译的行内元素：作为 <n/> 原样保留
+    this.atomicTags = new Set([
+      'AUDIO', 'BR', 'BUTTON', 'CANVAS', 'CODE', 'IMG', 'INPUT', 'KBD', 'MATH', 'OBJECT', 'PICTURE',
+      'SAMP', 'SELECT', 'SVG', 'TEXTAREA', 'VAR', 'VIDEO', 'WBR'
+    ])
+    // 整体跳过的元素
+    this.skipTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'PRE', 'HEAD', 'TITLE', 'META', 'LINK'])
+    this.tagPattern = /<(\/?)(\d+)(\/?)>/g
+  }
+
+  /**
+   * 是否跳过该节点（扩展自身的界面、已插入的译文、标注为不翻译或可编辑的内容）
+   */
+  isSkipped(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return node.nodeType !== Node.TEXT_NODE
+    if (this.skipTags.has(node.tagName)) return true
+    if (node.id && (node.id.startsWith('chrome-ai-translator') || node.id === 'translation-progress')) return true
+    if (node.classList.contains('translation-append') || node.classList.contains('translation-original')) return true
+    if (node.getAttribute('translate') === 'no' || node.classList.contains('notranslate')) return true
+    return node.isContentEditable
+  }
+
+  /**
+   * 是否为行内内容；未知的标签（如自定义元素）按计算样式判断
+   */
+  isInline(node) {
+    if (node.nodeType === Node.TEXT_NODE) return true
+    if (this.inlineTags.has(node.tagName) || this.atomicTags.has(node.tagName)) return true
+    if (!node.tagName.includes('-')) return false
+
+    const display = getComputedStyle(node).display
+    return display.startsWith('inline') || display === 'contents'
+  }
+
+  /**
+   * 提取根元素下的翻译单元：每个块元素中连续的行内内容为一个单元；进入开放的 Shadow Root
+   * @param {Element} root
+   * @param {Function} accept - 可选过滤 (unit) => boolean
+   * @returns {Array<Object>} 单元 { nodes, block, text, plain, tags }
+   */
+  extractUnits(root, accept = null) {
+    const units = []
+
+    const visit = (block) => {
+      let run = []
+      const flush = () => {
+        const unit = run.length > 0 ? this.createUnit(run) : null
+        if (unit && (!accept || accept(unit))) units.push(unit)
+        run = []
+      }
+
+      for (const child of block.childNodes) {
+        if (child.nodeType === Node.COMMENT_NODE) continue
+
+        if (this.isSkipped(child)) {
+          flush()
+        } else if (child.shadowRoot) {
+          // 宿主元素显示的是 Shadow Root 中的内容，light DOM 子节点经由 <slot> 显示，两者分别提取
+          flush()
+          visit(child.shadowRoot)
+          visit(child)
+        } else if (this.isInline(child)) {
+          run.push(child)
+        } else {
+          flush()
+          visit(child)
+        }
+      }
+      flush()
+    }
+
+    if (root && !this.isSkipped(root)) visit(root)
+    return units
+  }
+
+  /**
+   * 将一组相邻的节点序列化为带编号标签的翻译单元
+   * @param {Array<Node>} nodes - 同一父元素下相邻的节点
+   * @returns {Object|null} 没有可翻译的文字时返回 null
+   */
+  createUnit(nodes) {
+    const tags = []
+    let text = ''
+
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        text += node.data
+        return
+      }
+      if (this.isSkipped(node)) return
+
+      const index = tags.length
+      const atomic = this.atomicTags.has(node.tagName) || !node.textContent.trim()
+      tags.push({ element: node, atomic })
+
+      if (atomic) {
+        text += `<${index}/>`
+      } else {
+        text += `<${index}>`
+        node.childNodes.forEach(walk)
+        text += `</${index}>`
+      }
+    }
+    nodes.forEach(walk)
+
+    text = text.replace(/\s+/g, ' ').trim()
+    const plain = this.stripTags(text).replace(/\s+/g, ' ').trim()
+    if (!/\p{L}/u.test(plain)) return null
+
+    // Shadow Root 的直接子节点没有父元素，以宿主元素作为所在的块
+    const block = nodes[0].parentElement || nodes[0].parentNode.host
+    return { nodes, block, text, plain, tags }
+  }
+
+  /**
+   * 去掉编号标签
+   */
+  stripTags(text) {
+    return text.replace(this.tagPattern, '')
+  }
+
+  /**
+   * 按译文中的标签重建带格式的译文
+   * @param {Object} unit - createUnit 的返回值
+   * @param {string} translated - 带标签的译文
+   * @returns {{text: string, fragment: DocumentFragment, restored: boolean}}
+   *   restored 为 false 表示标签损坏，fragment 为不带格式的纯文本译文
+   */
+  rebuild(unit, translated) {
+    const text = this.stripTags(translated).replace(/\s+/g, ' ').trim()
+    const fragment = this.parse(unit, translated)
+    if (fragment) {
+      return { text, fragment, restored: true }
+    }
+
+    console.warn('译文中的行内标签不完整，改为显示纯文本译文:', translated)
+    const plain = document.createDocumentFragment()
+    plain.appendChild(document.createTextNode(text))
+    return { text, fragment: plain, restored: false }
+  }
+
+  /**
+   * 解析带标签的译文，每个标签必须恰好出现一次且正确嵌套
+   * @returns {DocumentFragment|null} 标签损坏时返回 null
+   */
+  parse(unit, translated) {
+    const fragment = document.createDocumentFragment()
+    const stack = [{ node: fragment, index: -1 }]
+    const used = new Set()
+    let cursor = 0
+
+    const appendText = (value) => {
+      if (value) stack[stack.length - 1].node.appendChild(document.createTextNode(value))
+    }
+
+    for (const match of translated.matchAll(this.tagPattern)) {
+      appendText(translated.slice(cursor, match.index))
+      cursor = match.index + match[0].length
+
+      const [, closing, number, selfClosing] = match
+      const index = Number(number)
+      const tag = unit.tags[index]
+      if (!tag) return null
+
+      if (closing) {
+        if (stack[stack.length - 1].index !== index) return null
+        stack.pop()
+        continue
+      }
+
+      if (used.has(index) || Boolean(selfClosing) !== tag.atomic) return null
+      used.add(index)
+
+      const clone = this.cloneElement(tag.element, tag.atomic)
+      stack[stack.length - 1].node.appendChild(clone)
+      if (!tag.atomic) stack.push({ node: clone, index })
+    }
+    appendText(translated.slice(cursor))
+
+    if (stack.length !== 1 || used.size !== unit.tags.length) return null
+    return fragment
+  }
+
+  /**
+   * 复制原文中的元素（去掉 id，避免页面中出现重复的 id）
+   */
+  cloneElement(element, deep) {
+    const clone = element.cloneNode(deep)
+    clone.removeAttribute('id')
+    if (deep) {
+      clone.querySelectorAll('[id]').forEach(child => child.removeAttribute('id'))
+    }
+    return clone
+  }
+}
+
 // 异步加载常量配置
 let CONSTANTS = null;
 
@@ -322,6 +892,15 @@ async function loadConstants() {
         sourceLanguage: 'auto',
         targetLanguage: 'zh-CN'
       },
+      DEFAULT_EXTENSION_SETTINGS: {
+        theme: 'auto',
+        showOverlay: true,
+        overlayPosition: 'auto',
+        translationDisplayMode: 'inline',
+        pageTranslationScope: 'visible',
+        enableStreaming: true,
+        streamingThreshold: 100
+      },
       MESSAGE_TYPES: {
         TRANSLATE_TEXT: 'TRANSLATE_TEXT'
       },
@@ -333,18 +912,68 @@ async function loadConstants() {
   }
 }
 
+/**
+ * 当前子框架是否与顶层框架同源；跨源时访问 window.top 的属性会抛出异常
+ * 比较文档来源（window.origin）而非 location.origin，about:blank 等继承页面来源的框架视为同源
+ * @returns {boolean}
+ */
+function isSameOriginWithTop() {
+  try {
+    return window.top.origin === window.origin
+  } catch (error) {
+    return false
+  }
+}
+
+// 页面翻译消息：顶层框架处理后经由 service worker 转发给子框架（带 relayed 标记），子框架只处理转发的消息
+const FRAME_RELAYED_MESSAGES = new Set([
+  'TRANSLATE_PAGE',
+  'CANCEL_TRANSLATE_PAGE',
+  'TOGGLE_ORIGINAL_TEXT',
+  'PAUSE_TRANSLATE_PAGE',
+  'RESUME_TRANSLATE_PAGE'
+]);
+
+// 整个标签页只需处理一次的消息，只由顶层框架处理
+const TOP_FRAME_MESSAGES = new Set([
+  'GET_TRANSLATION_STATUS',
+  'GET_PAGE_TRANSLATION_STATE',
+  'FRAME_TRANSLATION_STATE',
+  'SHOW_QUICK_TRANSLATION',
+  'SHOW_TRANSLATOR_PANEL',
+  'PING'
+]);
+
 /**
  * Content Script 翻译器类
  * 负责处理网页文本选择、翻译覆盖层显示和翻译功能
+ * 注入到所有框架：页面翻译由顶层框架发起并转发给子框架，各框架翻译自己的文档，翻译状态汇总到顶层框架
  */
 class ContentTranslator {
   constructor() {
     this.selectedText = ''
     this.selectionRange = null
     this.overlayManager = null
-    this.languagePreferences = null
+    this.languagePreferences = null // 实际生效的语言偏好（全局偏好 + 站点语言对）
+    this.userLanguagePreferences = null // 全局语言偏好
+    this.extensionSettings = null // 扩展设置，由 service worker 读取并在变化时推送
+    this.colorSchemeQuery = null // 主题为"跟随系统"时监听系统深色模式
+    this.siteRule = null // 当前站点的翻译规则，未设置时为 null
+    this.autoTranslateStarted = false // 站点规则触发的自动翻译只执行一次
     this.isPageTranslated = false // 跟踪页面翻译状态
     this.visibleObserver = null
+    this.domJournal = new DomChangeJournal() // 页面翻译期间的 DOM 修改，取消翻译时倒序撤销
+    this.bilingualRenderer = new BilingualRenderer(this.domJournal) // 页面译文，显示方式由设置 translationDisplayMode 决定
+    this.blockSegmenter = new BlockSegmenter() // 按块元素组织翻译单元，保留行内格式
+    this.pendingRequests = new Map() // requestId -> 分组（page / selection）
+    this.pageTranslationSession = 0 // 每次取消页面翻译时递增，使进行中的翻译循环失效
+    this.documentTranslation = null // 整页翻译的后台任务 { paused, resume }，未在进行时为 null
+    this.pageTranslationRequest = null // 当前页面翻译的语言对与范围，新加载的子框架按此加入翻译；未翻译时为 null
+    this.isTopFrame = window === window.top
+    this.isSameOriginWithTop = this.isTopFrame || isSameOriginWithTop() // 跨源子框架（广告、第三方插件等）不参与页面翻译
+    this.translatedFrames = new Set() // 顶层框架记录已翻译的子框架 frameId
+    this.contextMenuTarget = null // 最近一次右键点击的元素，用于右键菜单翻译链接/图片
+    this.lastNotifiedSelection = '' // 最近一次通知侧边栏的选中文本
     
     this.init()
   }
@@ -358,17 +987,27 @@ class ContentTranslator {
       // 加载常量配置
       const constants = await loadConstants()
 
-      // 设置默认语言偏好
-      this.languagePreferences = constants.DEFAULT_LANGUAGE_PREFERENCES
+      // 设置默认语言偏好与扩展设置
+      this.userLanguagePreferences = constants.DEFAULT_LANGUAGE_PREFERENCES
+      this.extensionSettings = constants.DEFAULT_EXTENSION_SETTINGS
+
+      // 加载用户语言偏好与扩展设置
+      await this.loadSettings()
 
-      // 加载用户语言偏好
-      await this.loadLanguagePreferences(constants)
+      // 加载站点规则（站点语言对、划词图标、从不翻译）；自动翻译由 service worker 在页面加载完成时触发
+      await this.loadSiteRule()
 
       // 监听文本选择事件
       this.setupEventListeners()
 
       // 监听来自 background script 的消息
       this.setupMessageListeners(constants)
+
+      // 页面语言与目标语言不同时提示翻译
+      await this.checkPageLanguage()
+
+      // 页面翻译后才加载的子框架一并翻译
+      await this.joinPageTranslation()
     } catch (error) {
       console.error('Content Script 初始化失败:', error)
     }
@@ -396,6 +1035,16 @@ class ContentTranslator {
 
     // 监听窗口大小变化（重新定位覆盖层）
     window.addEventListener('resize', this.handleWindowResize.bind(this));
+
+    // 记录右键点击的元素（右键菜单点击信息中没有链接文字与图片 alt）
+    document.addEventListener('contextmenu', this.handleContextMenu.bind(this), true);
+  }
+
+  /**
+   * 处理右键菜单事件
+   */
+  handleContextMenu(event) {
+    this.contextMenuTarget = event.target
   }
 
   /**
@@ -404,6 +1053,8 @@ class ContentTranslator {
    */
   setupMessageListeners(constants) {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!this.shouldHandleMessage(message)) return;
+
       switch (message.type) {
         case constants.MESSAGE_TYPES.TRANSLATE_TEXT:
           this.handleTranslateMessage(message, sendResponse);
@@ -413,6 +1064,18 @@ class ContentTranslator {
           this.handleLanguagePreferencesUpdate(message.preferences);
           break;
 
+        case 'UPDATE_EXTENSION_SETTINGS':
+          this.handleExtensionSettingsUpdate(message.settings, message.changedKeys);
+          break;
+
+        case 'UPDATE_SITE_RULES':
+          this.loadSiteRule().then(() => {
+            if (this.siteRule && this.siteRule.neverTranslate) {
+              this.hideLanguageBar();
+            }
+          });
+          break;
+
         case 'HIDE_OVERLAY':
           this.hideOverlay();
           break;
@@ -421,10 +1084,16 @@ class ContentTranslator {
           this.handleShowTranslationOverlay(message);
           break;
 
-        case 'TRANSLATE_PAGE':
+        case 'TRANSLATE_PAGE': {
+          const rejection = this.checkPageTranslationAllowed(message);
+          if (rejection) {
+            sendResponse({ success: false, error: rejection });
+            break;
+          }
           this.handleTranslatePage(message);
           sendResponse({ success: true });
           break;
+        }
 
         case 'CANCEL_TRANSLATE_PAGE':
           this.handleCancelTranslatePage();
@@ -439,12 +1108,52 @@ class ContentTranslator {
           this.handleShowTranslatorPanel();
           break;
 
+        case 'TRANSLATE_SELECTION':
+          if (this.isSelectionCommandTarget(message)) {
+            this.handleTranslateSelection(message.text);
+          }
+          break;
+
+        case 'TRANSLATE_CONTEXT_TARGET':
+          this.handleTranslateContextTarget(message);
+          break;
+
+        case 'TOGGLE_ORIGINAL_TEXT':
+          this.handleToggleOriginalText(message);
+          break;
+
+        case 'PAUSE_TRANSLATE_PAGE':
+          this.pauseDocumentTranslation();
+          break;
+
+        case 'RESUME_TRANSLATE_PAGE':
+          this.resumeDocumentTranslation();
+          break;
+
         case 'GET_TRANSLATION_STATUS':
-          sendResponse({ isTranslated: this.isPageTranslated });
+          sendResponse({ isTranslated: this.isPageTranslated || this.translatedFrames.size > 0 });
+          break;
+
+        case 'GET_PAGE_TRANSLATION_STATE':
+          sendResponse({
+            success: true,
+            request: this.pageTranslationRequest,
+            showOriginal: this.bilingualRenderer.showOriginal
+          });
+          break;
+
+        case 'FRAME_TRANSLATION_STATE':
+          this.handleFrameTranslationState(message);
           break;
 
         case 'GET_SELECTED_TEXT':
-          this.handleGetSelectedText(sendResponse);
+          // 每个框架都会收到：有选区的框架立即回复；顶层框架没有选区时稍后回复，让有选区的子框架先回复
+          if (this.hasSelectedText()) {
+            this.handleGetSelectedText(sendResponse);
+          } else if (this.isTopFrame) {
+            setTimeout(() => this.handleGetSelectedText(sendResponse), 100);
+            return true;
+          }
           break;
 
         case 'PING':
@@ -466,9 +1175,18 @@ class ContentTranslator {
       const selection = window.getSelection();
       const selectedText = selection.toString().trim();
   
-      if (selectedText.length > 0 && selectedText.length <= 5000) {
+      // 超长选区由后台按段落/句子分段翻译，不再限制长度
+      if (selectedText.length > 0) {
         this.selectedText = selectedText;
         this.selectionRange = selection.getRangeAt(0).cloneRange();
+
+        // 侧边栏打开时跟随选中文本翻译
+        this.notifySelectionChanged(selectedText);
+
+        // 设置中关闭了划词图标，或站点规则设置了从不显示划词图标（快捷键和右键菜单仍可翻译选中文本）
+        if (!this.extensionSettings.showOverlay || (this.siteRule && this.siteRule.neverShowIcon)) {
+          return;
+        }
   
         // 获取选择区域的位置信息
         const rect = selection.getRangeAt(0).getBoundingClientRect();
@@ -481,22 +1199,31 @@ class ContentTranslator {
   
         // 显示翻译覆盖层
         this.showTranslationOverlay(selectedText, position);
-      } else if (selectedText.length === 0) {
+      } else {
         // 没有选择文本时仅在不存在翻译弹窗时才隐藏，避免点击图标后弹窗被误关
         const hasPopup = !!document.getElementById('chrome-ai-translator-popup');
         if (!hasPopup) {
           this.hideOverlay();
         }
-      } else if (selectedText.length > 5000) {
-        console.warn('选择的文本过长，超过5000字符限制');
-        this.showErrorMessage('选择的文本过长，请选择较短的文本进行翻译');
       }
     }, 100)
   }
 
   /**
-   * 处理键盘选择事件
-   * 支持通过键盘选择文本后的翻译
+   * 通知扩展页面（侧边栏）页面中选中的文本，相同文本只通知一次
+   */
+  notifySelectionChanged(text) {
+    if (text === this.lastNotifiedSelection) return
+    this.lastNotifiedSelection = text
+
+    chrome.runtime.sendMessage({ type: 'SELECTION_CHANGED', text }).catch(() => {
+      // 扩展重新加载后旧页面的 content script 已失效，忽略
+    })
+  }
+
+  /**
+   * 处理键盘选择事件
+   * 支持通过键盘选择文本后的翻译
    */
   handleKeyboardSelection(event) {
     // 只处理特定的键盘事件
@@ -608,15 +1335,7 @@ class ContentTranslator {
     }
 
     // 计算垂直位置
-    let top = position.y - 40;
-    if (top < margin) {
-      // 如果上方空间不够，显示在选择区域下方
-      top = position.y + position.height + 10;
-      if (top + iconSize > window.innerHeight - margin) {
-        // 如果下方也不够，显示在可视区域内
-        top = Math.max(margin, window.innerHeight - iconSize - margin);
-      }
-    }
+    const top = this.getOverlayTop(position, iconSize, 8, margin);
 
     // 设置样式
     Object.assign(icon.style, {
@@ -672,6 +1391,31 @@ class ContentTranslator {
     });
   }
 
+  /**
+   * 计算划词图标与弹窗的垂直位置
+   * 按设置 overlayPosition 优先显示在选区上方（auto）或下方（below），空间不够时换到另一侧，仍不够时贴近可视区域边缘
+   * @param {Object} position - 选区位置 { y, height }
+   * @param {number} height - 元素高度
+   * @param {number} gap - 与选区的间距
+   * @param {number} margin - 与可视区域边缘的最小距离
+   * @returns {number}
+   */
+  getOverlayTop(position, height, gap, margin) {
+    const above = position.y - height - gap
+    const below = position.y + position.height + gap
+    const fitsAbove = above >= margin
+    const fitsBelow = below + height <= window.innerHeight - margin
+
+    if (this.extensionSettings.overlayPosition === 'below') {
+      if (fitsBelow) return below
+      if (fitsAbove) return above
+    } else {
+      if (fitsAbove) return above
+      if (fitsBelow) return below
+    }
+    return Math.max(margin, window.innerHeight - height - margin)
+  }
+
   /**
    * 显示翻译弹窗
    */
@@ -679,20 +1423,39 @@ class ContentTranslator {
     // 隐藏图标
     this.hideOverlay();
 
+    // 新的划词翻译开始时，取消上一次尚未完成的划词翻译
+    this.cancelTranslations('selection');
+
+    // 超过流式阈值的长文本先显示弹窗，译文边翻译边显示
+    const { enableStreaming, streamingThreshold } = this.extensionSettings;
+    const useStreaming = enableStreaming && selectedText.length >= streamingThreshold;
+    let popup = useStreaming ? this.createTranslationPopup(selectedText, position, true) : null;
+
     try {
-      // 通过 service worker 进行翻译
-      const result = await this.translateText(
-        selectedText,
-        'auto', // 划词翻译总是使用自动检测
-        this.languagePreferences.targetLanguage
-      );
-
-      // 翻译完成后再创建弹窗并填充结果
-      const popup = this.createTranslationPopup(selectedText, position, false);
-      this.updateTranslationPopup(popup, { success: true, result: result.result });
+      // 通过 service worker 进行翻译（划词翻译总是使用自动检测）
+      const targetLanguage = this.languagePreferences.targetLanguage;
+      const options = { group: 'selection', priority: 'interactive' };
+      const result = useStreaming
+        ? await this.translateTextStreaming(selectedText, 'auto', targetLanguage, options, (fullResult) => {
+          this.updateStreamingPopup(popup, fullResult);
+        })
+        : await this.translateText(selectedText, 'auto', targetLanguage, options);
+
+      // 非流式翻译完成后再创建弹窗并填充结果
+      popup = popup || this.createTranslationPopup(selectedText, position, false);
+      this.updateTranslationPopup(popup, {
+        success: true,
+        result: result.result,
+        glossaryTerms: result.glossaryTerms
+      });
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('划词翻译已取消');
+        return;
+      }
+
       console.error('翻译请求失败:', error);
-      const popup = this.createTranslationPopup(selectedText, position, false);
+      popup = popup || this.createTranslationPopup(selectedText, position, false);
 
       // 根据错误类型提供不同的错误信息
       let errorMessage = '翻译失败';
@@ -741,15 +1504,7 @@ class ContentTranslator {
     }
 
     // 计算垂直位置
-    let top = position.y - popupHeight - 10
-    if (top < margin) {
-      // 如果上方空间不够，显示在下方
-      top = position.y + position.height + 10
-      if (top + popupHeight > window.innerHeight - margin) {
-        // 如果下方也不够，显示在可视区域内
-        top = Math.max(margin, window.innerHeight - popupHeight - margin)
-      }
-    }
+    const top = this.getOverlayTop(position, popupHeight, 10, margin)
 
     // 设置样式
     Object.assign(popup.style, {
@@ -842,6 +1597,14 @@ class ContentTranslator {
           border-top: 1px solid #eee;
           word-wrap: break-word;
         }
+        #chrome-ai-translator-popup .glossary-term {
+          color: inherit;
+          background: #fdf6ec;
+          border-bottom: 1px dashed #e6a23c;
+          border-radius: 2px;
+          padding: 0 1px;
+          cursor: help;
+        }
       `
       document.head.appendChild(style)
     }
@@ -876,9 +1639,9 @@ class ContentTranslator {
     }
 
     if (result && result.success && result.result) {
-      // 显示翻译结果
+      // 显示翻译结果，来自术语表的译法加上标记
       if (translatedElement) {
-        translatedElement.textContent = result.result
+        translatedElement.innerHTML = this.renderGlossaryTerms(result.result, result.glossaryTerms)
         translatedElement.style.display = 'block'
       }
       if (errorElement) {
@@ -896,12 +1659,53 @@ class ContentTranslator {
     }
   }
 
+  /**
+   * 流式翻译过程中更新弹窗中的译文（完成后由 updateTranslationPopup 标出术语）
+   */
+  updateStreamingPopup(popup, fullResult) {
+    if (!popup || !popup.parentNode) return
+
+    const loadingElement = popup.querySelector('.translation-loading')
+    const translatedElement = popup.querySelector('.translated-text')
+    if (loadingElement) {
+      loadingElement.style.display = 'none'
+    }
+    if (translatedElement) {
+      translatedElement.textContent = fullResult
+      translatedElement.style.display = 'block'
+    }
+  }
+
+  /**
+   * 将译文转为 HTML，术语表命中的位置用 <mark> 标出，悬停显示原文术语
+   * @param {string} text - 译文
+   * @param {Array<{start: number, end: number, source: string, target: string}>} terms - 术语位置
+   * @returns {string}
+   */
+  renderGlossaryTerms(text, terms = []) {
+    let html = ''
+    let cursor = 0
+
+    for (const term of [...terms].sort((a, b) => a.start - b.start)) {
+      if (term.start < cursor || term.end > text.length) continue
+      html += this.escapeHtml(text.slice(cursor, term.start))
+      const title = this.escapeHtml(`术语表：${term.source} → ${term.target}`).replace(/"/g, '&quot;')
+      html += `<mark class="glossary-term" title="${title}">${this.escapeHtml(text.slice(term.start, term.end))}</mark>`
+      cursor = term.end
+    }
+
+    return html + this.escapeHtml(text.slice(cursor))
+  }
+
   /**
    * 设置弹窗事件监听器
    */
   setupPopupEventListeners(popup) {
     const closeBtn = popup.querySelector('.close-btn')
     const closePopup = () => {
+      // 关闭弹窗时取消仍在进行的划词翻译
+      this.cancelTranslations('selection')
+
       if (popup.parentNode) {
         popup.style.opacity = '0'
         popup.style.transform = 'scale(0.9)'
@@ -970,32 +1774,310 @@ class ContentTranslator {
   }
 
   /**
-   * 加载用户语言偏好
+   * 加载用户语言偏好与扩展设置
    * 需求: 2.2 - 使用保存的语言偏好
+   * 由 service worker 的设置服务读取（已补全默认值并修复不合法的值），之后的变化通过消息推送
    */
-  async loadLanguagePreferences(constants) {
+  async loadSettings() {
     try {
-      const result = await chrome.storage.sync.get(constants.STORAGE_KEYS.LANGUAGE_PREFERENCES)
-      if (result[constants.STORAGE_KEYS.LANGUAGE_PREFERENCES]) {
-        this.languagePreferences = {
-          ...constants.DEFAULT_LANGUAGE_PREFERENCES,
-          ...result[constants.STORAGE_KEYS.LANGUAGE_PREFERENCES]
-        }
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' })
+      if (response && response.success) {
+        this.userLanguagePreferences = response.data.languagePreferences
+        this.extensionSettings = response.data.extensionSettings
       }
     } catch (error) {
-      console.error('加载语言偏好失败:', error)
+      console.error('加载设置失败:', error)
     }
+
+    this.updateEffectiveLanguagePreferences()
+    this.applyTheme()
+    this.bilingualRenderer.setMode(this.extensionSettings.translationDisplayMode)
   }
 
   /**
-   * 处理语言偏好更新
+   * 加载当前站点的翻译规则（由 service worker 按域名匹配，子域名继承上级域名的规则）
    */
-  handleLanguagePreferencesUpdate(preferences) {
-    this.languagePreferences = { ...this.languagePreferences, ...preferences }
+  async loadSiteRule() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SITE_RULE', url: location.href })
+      this.siteRule = response && response.success ? response.rule : null
+    } catch (error) {
+      console.error('加载站点规则失败:', error)
+      this.siteRule = null
+    }
+
+    this.updateEffectiveLanguagePreferences()
+  }
+
+  /**
+   * 合并全局语言偏好与站点语言对，站点未设置的一侧沿用全局偏好
+   */
+  updateEffectiveLanguagePreferences() {
+    const rule = this.siteRule
+    this.languagePreferences = {
+      ...this.userLanguagePreferences,
+      ...(rule && rule.sourceLanguage ? { sourceLanguage: rule.sourceLanguage } : {}),
+      ...(rule && rule.targetLanguage ? { targetLanguage: rule.targetLanguage } : {})
+    }
 
     // 更新覆盖层管理器的语言偏好
     if (this.overlayManager) {
-      this.overlayManager.updateLanguagePreferences(preferences)
+      this.overlayManager.updateLanguagePreferences(this.languagePreferences)
+    }
+  }
+
+  /**
+   * 处理语言偏好更新
+   */
+  handleLanguagePreferencesUpdate(preferences) {
+    this.userLanguagePreferences = { ...this.userLanguagePreferences, ...preferences }
+    this.updateEffectiveLanguagePreferences()
+  }
+
+  /**
+   * 处理扩展设置更新，无需刷新页面即可生效
+   * @param {Object} settings - 更新后的完整设置
+   * @param {string[]} changedKeys - 发生变化的字段
+   */
+  handleExtensionSettingsUpdate(settings, changedKeys = []) {
+    this.extensionSettings = { ...this.extensionSettings, ...settings }
+
+    // 关闭划词图标时移除已显示的图标（已打开的翻译弹窗保留）
+    if (changedKeys.includes('showOverlay') && !this.extensionSettings.showOverlay) {
+      const icon = document.getElementById('chrome-ai-translator-icon')
+      if (icon) {
+        icon.remove()
+      }
+    }
+
+    if (changedKeys.includes('theme')) {
+      this.applyTheme()
+    }
+
+    // 已翻译的内容按新的显示方式重新显示，无需重新翻译
+    if (changedKeys.includes('translationDisplayMode')) {
+      this.bilingualRenderer.setMode(this.extensionSettings.translationDisplayMode)
+    }
+  }
+
+  /**
+   * 在原文与译文之间切换（快捷键 toggle-original）
+   */
+  handleToggleOriginalText(message = {}) {
+    // 子框架按顶层框架切换后的状态显示，各框架保持一致
+    if (!this.isTopFrame) {
+      this.bilingualRenderer.toggleOriginal(message.showOriginal)
+      return
+    }
+
+    if (this.bilingualRenderer.size === 0 && this.translatedFrames.size === 0) return
+
+    const showOriginal = this.bilingualRenderer.toggleOriginal()
+    this.relayToFrames({ type: 'TOGGLE_ORIGINAL_TEXT', showOriginal })
+    this.showSuccessMessage(showOriginal ? '已显示原文' : '已显示译文')
+  }
+
+  /**
+   * 按设置的主题切换页面中翻译界面（划词弹窗、翻译面板、语言提示条）的配色
+   * 跟随系统时监听系统深色模式的变化
+   */
+  applyTheme() {
+    const { theme } = this.extensionSettings
+
+    if (theme === 'auto' && !this.colorSchemeQuery) {
+      this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)')
+      this.colorSchemeQuery.addEventListener('change', () => {
+        if (this.extensionSettings.theme === 'auto') this.applyTheme()
+      })
+    }
+
+    const dark = theme === 'dark' || (theme === 'auto' && this.colorSchemeQuery.matches)
+    let style = document.getElementById('chrome-ai-translator-theme-style')
+
+    if (!dark) {
+      if (style) style.remove()
+      return
+    }
+    if (style) return
+
+    // 各界面的样式写在元素的内联样式中，深色配色需用 !important 覆盖
+    style = document.createElement('style')
+    style.id = 'chrome-ai-translator-theme-style'
+    style.textContent = `
+      #chrome-ai-translator-popup,
+      #chrome-ai-translator-panel,
+      #chrome-ai-translator-language-bar {
+        background-color: #2b2b2b !important;
+        border-color: #414243 !important;
+        color: #e5eaf3 !important;
+      }
+      #chrome-ai-translator-popup .popup-header,
+      #chrome-ai-translator-panel .panel-header {
+        background: #363637 !important;
+        border-color: #414243 !important;
+      }
+      #chrome-ai-translator-popup .original-text {
+        color: #e5eaf3 !important;
+      }
+      #chrome-ai-translator-popup .translated-text,
+      #chrome-ai-translator-panel .panel-result {
+        border-color: #414243 !important;
+      }
+      #chrome-ai-translator-popup .translated-text {
+        color: #e68ae9 !important;
+      }
+      #chrome-ai-translator-popup .glossary-term {
+        background: #3d3120 !important;
+      }
+      #chrome-ai-translator-popup .close-btn:hover {
+        background: #414243 !important;
+        color: #e5eaf3 !important;
+      }
+      #chrome-ai-translator-panel textarea {
+        background: #1d1e1f !important;
+        border-color: #4c4d4f !important;
+        color: #e5eaf3 !important;
+      }
+      #chrome-ai-translator-language-bar .bar-btn:not(.bar-btn-primary) {
+        background: #363637 !important;
+        border-color: #4c4d4f !important;
+        color: #cfd3dc !important;
+      }
+    `
+    document.head.appendChild(style)
+  }
+
+  /**
+   * 按站点规则检查是否允许翻译页面
+   * @param {Object} message - TRANSLATE_PAGE 消息，auto 为 true 表示站点规则触发的自动翻译
+   * @returns {string|null} 不允许时返回原因
+   */
+  checkPageTranslationAllowed(message) {
+    if (this.siteRule && this.siteRule.neverTranslate) {
+      if (!message.auto && this.isTopFrame) {
+        this.showErrorMessage('已设置此网站从不翻译，可在扩展弹窗的"站点"页中修改')
+      }
+      return '此网站已设置为从不翻译'
+    }
+
+    if (message.auto) {
+      if (this.autoTranslateStarted || this.isPageTranslated) {
+        return '页面已自动翻译'
+      }
+      this.autoTranslateStarted = true
+    }
+
+    return null
+  }
+
+  /**
+   * 多框架页面中每个框架都会收到标签页消息：页面翻译消息在顶层框架只处理直接发来的，在子框架只处理顶层框架转发的；
+   * 整个标签页只需处理一次的消息只由顶层框架处理
+   * @param {Object} message
+   * @returns {boolean}
+   */
+  shouldHandleMessage(message) {
+    if (FRAME_RELAYED_MESSAGES.has(message.type)) {
+      if (this.isTopFrame) return !message.relayed
+      // 跨源子框架不翻译，其余转发消息对未翻译的框架没有影响
+      if (message.type === 'TRANSLATE_PAGE' && !this.isSameOriginWithTop) return false
+      return !!message.relayed
+    }
+    if (TOP_FRAME_MESSAGES.has(message.type)) {
+      return this.isTopFrame
+    }
+    return true
+  }
+
+  /**
+   * 快捷键翻译选中文本时每个框架都会收到消息：有选区的框架处理；
+   * 都没有选区时由焦点所在的框架提示（右键菜单的消息带有选中文本，且只发给点击的框架）
+   */
+  isSelectionCommandTarget(message) {
+    if (message.text || this.hasSelectedText()) return true
+
+    if (this.isTopFrame) {
+      const active = document.activeElement
+      return !(active && (active.tagName === 'IFRAME' || active.tagName === 'FRAME'))
+    }
+    return document.hasFocus()
+  }
+
+  /**
+   * 当前框架是否有选中的文本
+   */
+  hasSelectedText() {
+    const selection = window.getSelection()
+    return !!(selection && selection.toString().trim())
+  }
+
+  /**
+   * 把页面翻译消息经由 service worker 转发给同一标签页的子框架，各子框架翻译自己的文档
+   * @param {Object} message - TRANSLATE_PAGE / CANCEL_TRANSLATE_PAGE / TOGGLE_ORIGINAL_TEXT 等
+   */
+  relayToFrames(message) {
+    if (!this.isTopFrame) return
+
+    chrome.runtime.sendMessage({ type: 'RELAY_TO_FRAMES', message }).catch((error) => {
+      console.log('转发页面翻译消息到子框架失败:', error.message)
+    })
+  }
+
+  /**
+   * 子框架把翻译状态同步给顶层框架，页面的翻译状态由顶层框架汇总
+   */
+  reportFrameTranslationState() {
+    if (this.isTopFrame) return
+
+    chrome.runtime.sendMessage({ type: 'FRAME_TRANSLATION_STATE', isTranslated: this.isPageTranslated }).catch((error) => {
+      console.log('同步子框架翻译状态失败:', error.message)
+    })
+  }
+
+  /**
+   * 顶层框架记录子框架的翻译状态（消息由 service worker 转发，frameId 为子框架的 ID）
+   */
+  handleFrameTranslationState(message) {
+    if (message.isTranslated && this.pageTranslationRequest) {
+      this.translatedFrames.add(message.frameId)
+    } else {
+      this.translatedFrames.delete(message.frameId)
+    }
+  }
+
+  /**
+   * 页面翻译后才加载的子框架（如滚动后插入的 iframe）向顶层框架查询，页面已翻译时按相同的语言对与范围翻译；
+   * 跨源子框架不加入
+   */
+  async joinPageTranslation() {
+    if (this.isTopFrame || !this.isSameOriginWithTop) return
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_PAGE_TRANSLATION_STATE' })
+      if (!response || !response.success || !response.request) return
+      // 已收到顶层框架转发的翻译消息
+      if (this.pageTranslationRequest) return
+      if (this.checkPageTranslationAllowed(response.request)) return
+
+      this.bilingualRenderer.toggleOriginal(!!response.showOriginal)
+      await this.handleTranslatePage(response.request)
+    } catch (error) {
+      console.log('查询页面翻译状态失败:', error.message)
+    }
+  }
+
+  /**
+   * 显示页面翻译的结果提示；子框架的页面翻译由顶层框架发起，不单独提示
+   * @param {string} message
+   * @param {boolean} isError
+   */
+  notifyPageTranslation(message, isError = false) {
+    if (!this.isTopFrame) return
+
+    if (isError) {
+      this.showErrorMessage(message)
+    } else {
+      this.showSuccessMessage(message)
     }
   }
 
@@ -1034,25 +2116,41 @@ class ContentTranslator {
 
   /**
    * 通过 background script 进行翻译
+   * @param {Object} options - 可选参数
+   * @param {string} options.group - 请求分组（page / selection），用于按组取消
+   * @param {string} options.priority - 调度优先级（interactive / visible / prefetch），默认 interactive
    */
-  async translateText(text, sourceLanguage, targetLanguage) {
+  async translateText(text, sourceLanguage, targetLanguage, options = {}) {
+    const requestId = this.generateRequestId()
+    this.pendingRequests.set(requestId, options.group || 'default')
+
     return new Promise((resolve, reject) => {
       chrome.runtime.sendMessage({
         type: 'TRANSLATE_TEXT',
+        requestId: requestId,
         text: text,
         sourceLanguage: sourceLanguage,
-        targetLanguage: targetLanguage
+        targetLanguage: targetLanguage,
+        priority: options.priority || 'interactive'
       }, (response) => {
+        this.pendingRequests.delete(requestId)
+
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message))
           return
         }
 
+        if (response && response.cancelled) {
+          reject(new DOMException(response.error || '翻译已取消', 'AbortError'))
+          return
+        }
+
         if (response && response.success) {
           resolve({
             result: response.result,
             sourceLanguage: response.sourceLanguage,
-            targetLanguage: response.targetLanguage
+            targetLanguage: response.targetLanguage,
+            glossaryTerms: response.glossaryTerms || []
           })
         } else {
           reject(new Error(response ? response.error : '翻译失败'))
@@ -1061,6 +2159,183 @@ class ContentTranslator {
     })
   }
 
+  /**
+   * 通过长连接流式翻译，译文逐块回调 onChunk
+   * @param {Object} options - 同 translateText
+   * @param {Function} onChunk - 增量回调 (fullResult)
+   * @returns {Promise<Object>} 与 translateText 相同的结果，取消时以 AbortError 结束
+   */
+  translateTextStreaming(text, sourceLanguage, targetLanguage, options = {}, onChunk) {
+    const requestId = this.generateRequestId()
+    this.pendingRequests.set(requestId, options.group || 'default')
+
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: 'translation-stream' })
+      let settled = false
+
+      const finish = (callback) => {
+        if (settled) return
+        settled = true
+        this.pendingRequests.delete(requestId)
+        try { port.disconnect() } catch {}
+        callback()
+      }
+
+      port.onMessage.addListener((message) => {
+        if (message.requestId !== requestId) return
+
+        switch (message.type) {
+          case 'STREAMING_CHUNK':
+            if (onChunk) onChunk(message.fullResult)
+            break
+
+          case 'STREAMING_COMPLETE':
+            finish(() => resolve({
+              result: message.fullResult,
+              sourceLanguage: message.sourceLanguage,
+              targetLanguage: message.targetLanguage,
+              glossaryTerms: message.glossaryTerms || []
+            }))
+            break
+
+          case 'STREAMING_ERROR':
+            finish(() => reject(message.cancelled
+              ? new DOMException(message.error || '翻译已取消', 'AbortError')
+              : new Error(message.error || '翻译失败')))
+            break
+        }
+      })
+
+      port.onDisconnect.addListener(() => {
+        finish(() => reject(new Error(chrome.runtime.lastError?.message || '流式翻译连接已断开')))
+      })
+
+      port.postMessage({
+        type: 'TRANSLATE_STREAMING',
+        requestId,
+        text,
+        sourceLanguage,
+        targetLanguage
+      })
+    })
+  }
+
+  /**
+   * 通过 background script 批量翻译，一次发送多个片段，每个片段完成时回调 onResult
+   * 超过单次上限的片段分多批依次发送
+   * @param {Array<{id: *, text: string}>} segments - 待翻译片段
+   * @param {Object} options - 可选参数
+   * @param {string} options.group - 请求分组（page / selection），用于按组取消
+   * @param {string} options.priority - 调度优先级，默认 visible
+   * @param {Function} options.onResult - 片段完成回调 (id, { success, result, error })
+   * @returns {Promise<{completed: number, failed: number}>} 取消时以 AbortError 结束
+   */
+  async translateBatch(segments, sourceLanguage, targetLanguage, options = {}) {
+    const maxSegments = CONSTANTS?.TRANSLATOR_CONFIG?.MAX_BATCH_SEGMENTS || 500
+    const totals = { completed: 0, failed: 0 }
+
+    for (let i = 0; i < segments.length; i += maxSegments) {
+      const result = await this.sendBatch(segments.slice(i, i + maxSegments), sourceLanguage, targetLanguage, options)
+      totals.completed += result.completed
+      totals.failed += result.failed
+    }
+
+    return totals
+  }
+
+  /**
+   * 通过长连接发送单批 TRANSLATE_BATCH，逐个接收 BATCH_RESULT
+   */
+  sendBatch(segments, sourceLanguage, targetLanguage, options = {}) {
+    const requestId = this.generateRequestId()
+    this.pendingRequests.set(requestId, options.group || 'default')
+
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: 'translation-batch' })
+      let settled = false
+
+      const finish = (callback) => {
+        if (settled) return
+        settled = true
+        this.pendingRequests.delete(requestId)
+        try { port.disconnect() } catch {}
+        callback()
+      }
+
+      port.onMessage.addListener((message) => {
+        if (message.requestId !== requestId) return
+
+        switch (message.type) {
+          case 'BATCH_RESULT':
+            if (options.onResult) options.onResult(message.id, message)
+            break
+
+          case 'BATCH_COMPLETE':
+            finish(() => {
+              if (message.cancelled) {
+                reject(new DOMException('翻译已取消', 'AbortError'))
+              } else {
+                resolve({ completed: message.completed, failed: message.failed })
+              }
+            })
+            break
+
+          case 'BATCH_ERROR':
+            finish(() => reject(new Error(message.error || '翻译失败')))
+            break
+        }
+      })
+
+      port.onDisconnect.addListener(() => {
+        finish(() => reject(new Error(chrome.runtime.lastError?.message || '批量翻译连接已断开')))
+      })
+
+      port.postMessage({
+        type: 'TRANSLATE_BATCH',
+        requestId,
+        segments,
+        sourceLanguage,
+        targetLanguage,
+        priority: options.priority || 'visible'
+      })
+    })
+  }
+
+  /**
+   * 将翻译单元转换为批量翻译片段（id 为单元下标，文本带行内元素标签）
+   */
+  createSegments(units) {
+    return units.map((unit, index) => ({ id: index, text: unit.text }))
+  }
+
+  /**
+   * 生成翻译请求 ID
+   */
+  generateRequestId() {
+    return `cs-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+  }
+
+  /**
+   * 取消指定分组中已发出、尚未完成的翻译请求
+   * @param {string} group - 请求分组（page / selection）
+   */
+  cancelTranslations(group) {
+    const requestIds = []
+    for (const [requestId, requestGroup] of this.pendingRequests) {
+      if (requestGroup === group) {
+        requestIds.push(requestId)
+      }
+    }
+
+    if (requestIds.length === 0) return
+
+    requestIds.forEach(requestId => this.pendingRequests.delete(requestId))
+
+    chrome.runtime.sendMessage({ type: 'CANCEL_TRANSLATION', requestIds }).catch((error) => {
+      console.log('取消翻译请求失败:', error.message)
+    })
+  }
+
   /**
    * 处理翻译消息
    */
@@ -1134,6 +2409,16 @@ class ContentTranslator {
   async handleTranslatePage(message = {}) {
     console.log('开始翻译整个页面', message)
 
+    this.hideLanguageBar()
+
+    // 整页翻译仍在后台进行（或已暂停）时不重复开始
+    if (this.documentTranslation) {
+      this.resumeDocumentTranslation()
+      return { success: true, inProgress: true }
+    }
+
+    const session = this.pageTranslationSession
+
     try {
       // 使用传入的语言设置或默认设置
       let sourceLanguage = message.sourceLanguage || this.languagePreferences.sourceLanguage
@@ -1141,10 +2426,23 @@ class ContentTranslator {
 
       console.log(`翻译语言对: ${sourceLanguage} → ${targetLanguage}`)
 
-      // 获取可视区域内的文本节点
-      const visibleTextNodes = this.getVisibleTextNodes()
+      // 翻译范围：visible 只翻译可视区域，其余内容滚动到视口时再翻译；document 在可视区域之后继续翻译整个页面
+      const documentScope = (message.scope || this.extensionSettings.pageTranslationScope) === 'document'
+
+      // 记录本次翻译的语言对与范围并转发给子框架，之后加载的子框架向顶层框架查询后加入
+      this.pageTranslationRequest = { sourceLanguage, targetLanguage, scope: documentScope ? 'document' : 'visible' }
+      this.relayToFrames({ type: 'TRANSLATE_PAGE', ...this.pageTranslationRequest })
 
-      if (visibleTextNodes.length === 0) {
+      // 获取可视区域内的翻译单元（段落中的链接、强调等行内元素与文字一起翻译）
+      const visibleUnits = this.getVisibleUnits()
+
+      if (visibleUnits.length === 0 && !documentScope) {
+        // 子框架，或内容都在子框架中（如 iframe 编辑器）的顶层框架：不提示，继续监听之后出现的内容
+        if (!this.isTopFrame || window.frames.length > 0) {
+          this.startVisibleObserver(sourceLanguage, targetLanguage)
+          return { success: true, translatedCount: 0 }
+        }
+        this.pageTranslationRequest = null
         this.showErrorMessage('可视区域内没有找到可翻译的文本内容')
         return { success: false, error: '没有找到可翻译的文本' }
       }
@@ -1152,99 +2450,289 @@ class ContentTranslator {
       // 显示翻译进度提示
       this.showTranslationProgress(`正在翻译可视区域内容 (${sourceLanguage} → ${targetLanguage})...`)
 
-      // 提取文本内容
-      const texts = visibleTextNodes.map(node => node.textContent.trim()).filter(text => text.length > 0 && text.length <= 500)
-
-      if (texts.length === 0) {
-        this.hideTranslationProgress()
-        this.showErrorMessage('没有找到符合翻译条件的文本内容')
-        return { success: false, error: '没有找到符合翻译条件的文本' }
-      }
+      // 提取文本内容，片段 id 为单元下标
+      const segments = this.createSegments(visibleUnits)
 
       let translatedCount = 0
+      let finishedCount = 0
 
-      // 逐个翻译文本片段，提供更好的错误处理
-      for (let i = 0; i < visibleTextNodes.length; i++) {
-        const node = visibleTextNodes[i]
-        const originalText = node.textContent.trim()
-
-        if (originalText.length > 0 && originalText.length <= 500) {
-          try {
-            this.updateTranslationProgress(`正在翻译第 ${i + 1}/${visibleTextNodes.length} 个文本片段...`)
-
-            // 通过 service worker 进行翻译
-            try {
-              const result = await this.translateText(originalText, sourceLanguage, targetLanguage)
-              if (result && result.result && result.result !== originalText) {
-                this.appendTranslationToNode(node, result.result)
-                translatedCount++
-              } else {
-                this.appendTranslationToNode(node, '', true)
-              }
-            } catch (error) {
-              console.error('翻译失败:', error)
-              this.appendTranslationToNode(node, '', true)
+      // 可视区域内的片段一次性发往 service worker，按完成顺序逐个写回页面
+      try {
+        await this.translateBatch(segments, sourceLanguage, targetLanguage, {
+          group: 'page',
+          priority: 'visible',
+          onResult: (id, response) => {
+            if (session !== this.pageTranslationSession) return
+
+            const unit = visibleUnits[id]
+            if (response.success && response.result) {
+              if (this.renderUnitTranslation(unit, response.result)) translatedCount++
+            } else {
+              console.error('翻译失败:', response.error)
+              this.bilingualRenderer.add(unit.nodes, '', true)
             }
-          } catch (error) {
-            console.error(`翻译文本片段失败: "${originalText.substring(0, 30)}..."`, error)
-            // 翻译失败，显示失败提示
-            this.appendTranslationToNode(node, '', true)
-          }
 
-          // 添加延迟避免请求过于频繁
-          if (i < visibleTextNodes.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 50))
+            finishedCount++
+            this.updateTranslationProgress(`已翻译 ${finishedCount}/${segments.length} 个文本片段...`)
           }
+        })
+      } catch (error) {
+        if (error.name !== 'AbortError') throw error
+      }
+
+      if (session !== this.pageTranslationSession) {
+        return { success: false, cancelled: true, error: '页面翻译已取消' }
+      }
+
+      if (documentScope) {
+        // 其余内容在后台继续翻译，期间页面已处于翻译状态（可取消、可切换原文）
+        this.isPageTranslated = true
+        translatedCount += await this.translateDocument(sourceLanguage, targetLanguage, session)
+
+        if (session !== this.pageTranslationSession) {
+          return { success: false, cancelled: true, error: '页面翻译已取消' }
         }
       }
 
       this.hideTranslationProgress()
 
+      // 内容在子框架中时顶层框架没有译文也不算失败，子框架各自翻译
+      const hasFrames = window.frames.length > 0
+
       if (translatedCount > 0) {
-        this.showSuccessMessage(`可视区域翻译完成，共翻译了 ${translatedCount} 个文本片段`)
-        
-        // 启动可视区域翻译观察器，自动翻译新进入视口的内容
+        this.notifyPageTranslation(documentScope
+          ? `整页翻译完成，共翻译了 ${translatedCount} 个文本片段`
+          : `可视区域翻译完成，共翻译了 ${translatedCount} 个文本片段`)
+      } else if (!hasFrames) {
+        this.notifyPageTranslation('没有成功翻译任何文本，请检查网络连接或稍后重试', true)
+      }
+
+      if (translatedCount > 0 || hasFrames) {
+        // 启动可视区域翻译观察器，自动翻译新进入视口（或之后动态加载）的内容
         this.startVisibleObserver(sourceLanguage, targetLanguage)
       } else {
-        this.showErrorMessage('没有成功翻译任何文本，请检查网络连接或稍后重试')
+        this.pageTranslationRequest = null
       }
 
-      // 更新翻译状态
+      // 更新翻译状态，子框架同步给顶层框架
       this.isPageTranslated = translatedCount > 0
+      this.reportFrameTranslationState()
 
       return { success: translatedCount > 0, translatedCount }
 
     } catch (error) {
       console.error('页面翻译失败:', error)
       this.hideTranslationProgress()
-      this.showErrorMessage(`页面翻译失败: ${error.message}`)
+      this.notifyPageTranslation(`页面翻译失败: ${error.message}`, true)
       return { success: false, error: error.message }
     }
   }
 
   /**
-   * 处理取消翻译页面消息
+   * 整页翻译：可视区域之后按与视口的距离依次翻译页面其余内容，每次发送一小批，
+   * 用户滚动后优先翻译新的视口附近的内容；进度条上可暂停与继续，取消页面翻译时结束
+   * @returns {Promise<number>} 显示了译文的单元数
    */
-  handleCancelTranslatePage() {
-    // 移除所有翻译标记
-    const translationElements = document.querySelectorAll('.translation-append')
-    translationElements.forEach(element => {
-      element.remove()
-    })
+  async translateDocument(sourceLanguage, targetLanguage, session) {
+    const chunkSize = CONSTANTS?.TRANSLATOR_CONFIG?.DOCUMENT_CHUNK_SEGMENTS || 20
+    const task = { paused: false, resume: null, finished: 0, total: 0 }
+    const attempted = new WeakSet() // 已处理的单元（按首个节点），失败或译文与原文相同的单元不再重试
+    const isActive = () => session === this.pageTranslationSession
 
-    // 移除滚动翻译监听器
-    if (this.scrollTranslationHandler) {
+    let queue = []
+    let lastScroll = null
+    let translatedCount = 0
+
+    this.documentTranslation = task
+    this.showTranslationProgress('正在翻译页面其余内容...', { pausable: true })
+
+    try {
+      while (isActive()) {
+        if (task.paused) {
+          await new Promise(resolve => { task.resume = resolve })
+          continue
+        }
+
+        queue = queue.filter(unit => !attempted.has(unit.nodes[0]) && unit.nodes[0].isConnected)
+        if (queue.length === 0) {
+          // 队列处理完后重新遍历页面，翻译期间动态加载的内容也会被翻译
+          queue = this.getDocumentUnits(attempted)
+          if (queue.length === 0) break
+          task.total = task.finished + queue.length
+          lastScroll = null
+        }
+
+        const scroll = `${window.scrollX},${window.scrollY}`
+        if (scroll !== lastScroll) {
+          this.sortUnitsByViewportDistance(queue)
+          lastScroll = scroll
+        }
+
+        const chunk = queue.splice(0, chunkSize)
+        const pending = new Set(chunk)
+        this.updateDocumentProgress()
+
+        try {
+          await this.translateBatch(this.createSegments(chunk), sourceLanguage, targetLanguage, {
+            group: 'document',
+            // 视口内的内容与可视区域翻译同等优先，其余内容让位于划词翻译与可视区域翻译
+            priority: this.isElementInViewport(chunk[0].block) ? 'visible' : 'prefetch',
+            onResult: (id, response) => {
+              if (!isActive()) return
+
+              const unit = chunk[id]
+              pending.delete(unit)
+              attempted.add(unit.nodes[0])
+
+              if (response.success && response.result) {
+                if (this.renderUnitTranslation(unit, response.result)) translatedCount++
+              } else {
+                console.error('翻译失败:', response.error)
+                this.bilingualRenderer.add(unit.nodes, '', true)
+              }
+
+              task.finished++
+              this.updateDocumentProgress()
+            }
+          })
+        } catch (error) {
+          if (error.name !== 'AbortError') throw error
+          // 暂停时被取消的单元放回队首，继续后重新发送
+          queue.unshift(...pending)
+        }
+      }
+    } finally {
+      if (this.documentTranslation === task) {
+        this.documentTranslation = null
+      }
+    }
+
+    return translatedCount
+  }
+
+  /**
+   * 获取整个页面中尚未翻译的翻译单元，按与视口的距离排序
+   * 超出单片段上限的长段落同样发送，由 Service Worker 按段落/句子分段翻译后合并
+   * @param {WeakSet<Node>} attempted - 本次整页翻译已处理的单元（按首个节点）
+   */
+  getDocumentUnits(attempted) {
+    const units = this.blockSegmenter.extractUnits(document.body, (unit) =>
+      !this.bilingualRenderer.has(unit.nodes[0]) &&
+      !attempted.has(unit.nodes[0])
+    )
+
+    console.log(`整页翻译找到 ${units.length} 个待翻译单元`)
+    return this.sortUnitsByViewportDistance(units)
+  }
+
+  /**
+   * 按与视口的距离原地排序翻译单元：视口内的在前（保持文档顺序），没有布局的隐藏内容在最后
+   */
+  sortUnitsByViewportDistance(units) {
+    const windowHeight = window.innerHeight || document.documentElement.clientHeight
+    const distances = new Map()
+
+    for (const unit of units) {
+      const rect = unit.block.getBoundingClientRect()
+      if (rect.width === 0 && rect.height === 0) {
+        distances.set(unit, Infinity)
+      } else if (rect.bottom < 0) {
+        distances.set(unit, -rect.bottom)
+      } else {
+        distances.set(unit, Math.max(0, rect.top - windowHeight))
+      }
+    }
+
+    return units.sort((a, b) => distances.get(a) - distances.get(b))
+  }
+
+  /**
+   * 暂停整页翻译：取消已发出的批次，未完成的单元在继续后重新发送
+   */
+  pauseDocumentTranslation() {
+    const task = this.documentTranslation
+    if (!task || task.paused) return
+
+    task.paused = true
+    this.cancelTranslations('document')
+    this.updateDocumentProgress()
+    this.relayToFrames({ type: 'PAUSE_TRANSLATE_PAGE' })
+  }
+
+  /**
+   * 继续已暂停的整页翻译
+   */
+  resumeDocumentTranslation() {
+    const task = this.documentTranslation
+    if (!task || !task.paused) return
+
+    task.paused = false
+    if (task.resume) {
+      task.resume()
+      task.resume = null
+    }
+    this.updateDocumentProgress()
+    this.relayToFrames({ type: 'RESUME_TRANSLATE_PAGE' })
+  }
+
+  /**
+   * 在进度条上显示整页翻译的进度与暂停状态
+   */
+  updateDocumentProgress() {
+    const task = this.documentTranslation
+    if (!task) return
+
+    const { finished, total, paused } = task
+    const message = paused
+      ? `整页翻译已暂停 (${finished}/${total})`
+      : `正在翻译页面其余内容 (${finished}/${total})...`
+    this.updateTranslationProgress(message, total > 0 ? finished / total * 100 : 0)
+
+    const toggle = document.querySelector('#translation-progress .progress-toggle')
+    if (toggle) {
+      toggle.textContent = paused ? '继续' : '暂停'
+    }
+  }
+
+  /**
+   * 处理取消翻译页面消息
+   */
+  handleCancelTranslatePage() {
+    // 子框架一并撤销
+    this.relayToFrames({ type: 'CANCEL_TRANSLATE_PAGE' })
+    this.pageTranslationRequest = null
+    this.translatedFrames.clear()
+
+    // 使进行中的翻译循环失效，并取消已发往后台的页面翻译请求
+    this.pageTranslationSession++
+    this.cancelTranslations('page')
+    this.cancelTranslations('document')
+
+    // 暂停中的整页翻译等待继续，唤醒后因会话失效而结束
+    if (this.documentTranslation) {
+      this.documentTranslation.paused = false
+      if (this.documentTranslation.resume) this.documentTranslation.resume()
+      this.documentTranslation = null
+    }
+
+    // 移除滚动翻译监听器
+    if (this.scrollTranslationHandler) {
       window.removeEventListener('scroll', this.scrollTranslationHandler)
       clearTimeout(this.scrollTranslationTimeout)
       this.scrollTranslationHandler = null
     }
 
-    // 停止可视区域翻译观察器
+    // 先停止可视区域翻译观察器（同时移除其标记属性与 IntersectionObserver 监听），避免撤销过程中再写入译文
     if (this.visibleObserver) {
       this.visibleObserver.stop()
       this.visibleObserver = null
       console.log('已停止可视区域翻译观察器')
     }
+
+    // 倒序撤销翻译期间的所有 DOM 修改：移除译文、放回被隐藏的原文，页面恢复原状
+    console.log(`撤销 ${this.domJournal.size} 处页面修改`)
+    this.domJournal.rollback()
+    this.bilingualRenderer.reset()
     
     // 隐藏进度提示
     this.hideTranslationProgress()
@@ -1252,7 +2740,7 @@ class ContentTranslator {
     // 更新翻译状态
     this.isPageTranslated = false
 
-    this.showSuccessMessage('已取消页面翻译')
+    this.notifyPageTranslation('已取消页面翻译')
   }
 
   /**
@@ -1272,6 +2760,527 @@ class ContentTranslator {
     // 显示翻译面板（可以是一个更大的翻译界面）
     if (this.overlayManager) {
       this.overlayManager.showTranslatorPanel()
+    } else {
+      this.showTranslatorPanel()
+    }
+  }
+
+  /**
+   * 处理快捷键/右键菜单翻译选中文本，结果显示在划词翻译弹窗中
+   * @param {string} fallbackText - 页面选区不可用时（如输入框内的选区）使用的文本
+   */
+  handleTranslateSelection(fallbackText = '') {
+    const selection = window.getSelection()
+    const selectedText = selection ? selection.toString().trim() : ''
+
+    if (selectedText && selection.rangeCount > 0) {
+      this.selectedText = selectedText
+      this.selectionRange = selection.getRangeAt(0).cloneRange()
+      this.showTranslationPopup(selectedText, this.getElementPosition(this.selectionRange))
+      return
+    }
+
+    const text = (fallbackText || '').trim()
+    if (!text) {
+      this.showErrorMessage('请先选择要翻译的文本')
+      return
+    }
+
+    this.showTranslationPopup(text, this.getElementPosition(document.activeElement))
+  }
+
+  /**
+   * 处理右键菜单翻译链接文本 / 图片说明文字
+   */
+  handleTranslateContextTarget(message) {
+    const target = this.contextMenuTarget
+    let element = null
+    let text = ''
+
+    if (message.targetType === 'link') {
+      element = target && target.closest ? target.closest('a') : null
+      text = element ? (element.innerText || element.textContent || element.title || '').trim() : ''
+    } else if (message.targetType === 'image') {
+      element = target && target.closest ? target.closest('img') : null
+      text = element ? (element.alt || element.title || '').trim() : ''
+    }
+
+    if (!text) {
+      this.showErrorMessage(message.targetType === 'image' ? '该图片没有可翻译的说明文字' : '该链接没有可翻译的文本')
+      return
+    }
+
+    this.showTranslationPopup(text, this.getElementPosition(element))
+  }
+
+  /**
+   * 获取元素（或 Range）在视口中的位置，用于定位翻译弹窗；无法获取时使用视口中心
+   */
+  getElementPosition(target) {
+    if (target && typeof target.getBoundingClientRect === 'function' && target !== document.body) {
+      const rect = target.getBoundingClientRect()
+      if (rect.width > 0 || rect.height > 0) {
+        return {
+          x: rect.left + rect.width / 2,
+          y: rect.top,
+          width: rect.width,
+          height: rect.height
+        }
+      }
+    }
+
+    return {
+      x: window.innerWidth / 2,
+      y: window.innerHeight / 3,
+      width: 0,
+      height: 0
+    }
+  }
+
+  /**
+   * 显示页内翻译面板
+   * content script 无法加载 OverlayManager（Vue 模块），这里用原生 DOM 实现一个轻量面板；
+   * 面板已打开时仅聚焦输入框
+   */
+  showTranslatorPanel() {
+    const existing = document.getElementById('chrome-ai-translator-panel')
+    if (existing) {
+      existing.querySelector('textarea').focus()
+      return
+    }
+
+    const panel = document.createElement('div')
+    panel.id = 'chrome-ai-translator-panel'
+    panel.innerHTML = `
+      <div class="panel-header">
+        <span>AI翻译</span>
+        <button class="close-btn" title="关闭 (Esc)">×</button>
+      </div>
+      <div class="panel-content">
+        <textarea placeholder="输入要翻译的文本，Ctrl+Enter 翻译"></textarea>
+        <div class="panel-actions">
+          <span class="panel-language"></span>
+          <button class="translate-btn">翻译</button>
+        </div>
+        <div class="panel-result" style="display: none;"></div>
+      </div>
+    `
+
+    Object.assign(panel.style, {
+      position: 'fixed',
+      top: '16px',
+      right: '16px',
+      width: '360px',
+      zIndex: '2147483647',
+      backgroundColor: 'white',
+      border: '1px solid #ddd',
+      borderRadius: '8px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      fontSize: '14px',
+      color: '#333'
+    })
+
+    if (!document.getElementById('chrome-ai-translator-panel-style')) {
+      const style = document.createElement('style')
+      style.id = 'chrome-ai-translator-panel-style'
+      style.textContent = `
+        #chrome-ai-translator-panel .panel-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 8px 12px;
+          background: #f5f5f5;
+          border-bottom: 1px solid #eee;
+          border-radius: 8px 8px 0 0;
+          font-weight: 500;
+        }
+        #chrome-ai-translator-panel .close-btn {
+          background: none;
+          border: none;
+          font-size: 18px;
+          cursor: pointer;
+          color: #999;
+        }
+        #chrome-ai-translator-panel .panel-content {
+          padding: 12px;
+        }
+        #chrome-ai-translator-panel textarea {
+          box-sizing: border-box;
+          width: 100%;
+          min-height: 80px;
+          padding: 8px;
+          border: 1px solid #dcdfe6;
+          border-radius: 4px;
+          font: inherit;
+          resize: vertical;
+        }
+        #chrome-ai-translator-panel .panel-actions {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-top: 8px;
+        }
+        #chrome-ai-translator-panel .panel-language {
+          font-size: 12px;
+          color: #909399;
+        }
+        #chrome-ai-translator-panel .translate-btn {
+          padding: 6px 16px;
+          border: none;
+          border-radius: 4px;
+          background: #409eff;
+          color: white;
+          cursor: pointer;
+        }
+        #chrome-ai-translator-panel .translate-btn:disabled {
+          opacity: 0.6;
+          cursor: default;
+        }
+        #chrome-ai-translator-panel .panel-result {
+          margin-top: 8px;
+          padding-top: 8px;
+          border-top: 1px solid #eee;
+          line-height: 1.4;
+          max-height: 240px;
+          overflow-y: auto;
+          word-wrap: break-word;
+          white-space: pre-wrap;
+        }
+      `
+      document.head.appendChild(style)
+    }
+
+    document.body.appendChild(panel)
+
+    const textarea = panel.querySelector('textarea')
+    const translateBtn = panel.querySelector('.translate-btn')
+    const resultElement = panel.querySelector('.panel-result')
+
+    panel.querySelector('.panel-language').textContent = `自动检测 → ${this.languagePreferences.targetLanguage}`
+    textarea.value = window.getSelection().toString().trim()
+
+    const closePanel = () => {
+      this.cancelTranslations('panel')
+      panel.remove()
+    }
+
+    const translate = async () => {
+      const text = textarea.value.trim()
+      if (!text) return
+
+      this.cancelTranslations('panel')
+      translateBtn.disabled = true
+      resultElement.style.display = 'block'
+      resultElement.style.color = '#409eff'
+      resultElement.textContent = '正在翻译...'
+
+      try {
+        const result = await this.translateText(text, 'auto', this.languagePreferences.targetLanguage, {
+          group: 'panel',
+          priority: 'interactive'
+        })
+        resultElement.style.color = '#d650dc'
+        resultElement.textContent = result.result
+      } catch (error) {
+        if (error.name === 'AbortError') return
+        resultElement.style.color = '#f56c6c'
+        resultElement.textContent = `翻译失败: ${error.message}`
+      } finally {
+        translateBtn.disabled = false
+      }
+    }
+
+    panel.querySelector('.close-btn').addEventListener('click', closePanel)
+    translateBtn.addEventListener('click', translate)
+
+    // 面板内的按键不传给页面，避免触发页面自身的快捷键
+    panel.addEventListener('keydown', (event) => {
+      event.stopPropagation()
+      if (event.key === 'Escape') {
+        closePanel()
+      } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault()
+        translate()
+      }
+    })
+
+    // 阻止面板内的鼠标与键盘选择事件冒泡，避免触发划词翻译
+    panel.addEventListener('keyup', (event) => event.stopPropagation())
+    panel.addEventListener('mouseup', (event) => event.stopPropagation())
+    panel.addEventListener('click', (event) => event.stopPropagation())
+
+    textarea.focus()
+    if (textarea.value) translate()
+  }
+
+  /**
+   * 检测页面语言，与目标语言不同时按用户保存的选择自动翻译，或显示"是否翻译此页面"提示条
+   */
+  async checkPageLanguage() {
+    // 只在顶层页面提示；站点规则已决定是否翻译时不再提示
+    if (window !== window.top) return
+    if (this.siteRule && (this.siteRule.neverTranslate || this.siteRule.autoTranslate)) return
+
+    const pageLanguage = await this.detectPageLanguage()
+    const targetLanguage = this.getPrimaryLanguage(this.languagePreferences.targetLanguage)
+    if (!pageLanguage || pageLanguage === targetLanguage) return
+    if (this.isPageTranslated || this.autoTranslateStarted) return
+
+    let rules = { alwaysTranslate: [], neverTranslate: [] }
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_LANGUAGE_RULES' })
+      if (response && response.success) {
+        rules = response.rules
+      }
+    } catch (error) {
+      console.error('获取语言规则失败:', error)
+    }
+
+    if (rules.neverTranslate.includes(pageLanguage)) {
+      console.log(`页面语言 ${pageLanguage} 已设置为从不翻译`)
+      return
+    }
+
+    if (rules.alwaysTranslate.includes(pageLanguage)) {
+      console.log(`页面语言 ${pageLanguage} 已设置为总是翻译`)
+      this.translateDetectedPage(pageLanguage, true)
+      return
+    }
+
+    this.showLanguageBar(pageLanguage)
+  }
+
+  /**
+   * 识别页面语言：可见文本的 LanguageDetector 检测结果足够可信时优先使用
+   * （不少网站模板的 lang 声明与实际内容不符），否则使用 <html lang> 与 meta 标签声明的语言
+   * @returns {Promise<string>} 主语言代码（如 ja），无法识别时返回空字符串
+   */
+  async detectPageLanguage() {
+    const sample = this.getPageTextSample()
+
+    if (sample.length >= 50) {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'DETECT_LANGUAGE', text: sample })
+        if (response && response.success && response.confidence >= 0.6) {
+          return this.getPrimaryLanguage(response.language)
+        }
+      } catch (error) {
+        console.error('检测页面语言失败:', error)
+      }
+    }
+
+    return this.getDeclaredPageLanguage()
+  }
+
+  /**
+   * 读取页面声明的语言（<html lang>、Content-Language、language、og:locale）
+   * @returns {string} 主语言代码，未声明时返回空字符串
+   */
+  getDeclaredPageLanguage() {
+    const root = document.documentElement
+    const candidates = [
+      root.getAttribute('lang'),
+      root.getAttribute('xml:lang'),
+      document.querySelector('meta[http-equiv="content-language" i]')?.content,
+      document.querySelector('meta[name="language" i]')?.content,
+      document.querySelector('meta[property="og:locale"]')?.content
+    ]
+
+    for (const candidate of candidates) {
+      const language = this.getPrimaryLanguage(candidate)
+      if (language) return language
+    }
+    return ''
+  }
+
+  /**
+   * 取可视区域文本作为语言检测样本
+   * @param {number} maxLength - 样本最大长度
+   * @returns {string}
+   */
+  getPageTextSample(maxLength = 1000) {
+    let sample = ''
+    for (const node of this.getVisibleTextNodes()) {
+      sample += node.textContent.trim() + '\n'
+      if (sample.length >= maxLength) break
+    }
+    return sample.slice(0, maxLength).trim()
+  }
+
+  /**
+   * 提取主语言代码：zh-CN / zh_CN → zh，Content-Language 可能是逗号分隔的列表，取第一个
+   * @param {string} code - 语言标签
+   * @returns {string} 无效时返回空字符串
+   */
+  getPrimaryLanguage(code) {
+    const primary = String(code || '').split(',')[0].trim().replace(/_/g, '-').split('-')[0].toLowerCase()
+    return /^[a-z]{2,3}$/.test(primary) ? primary : ''
+  }
+
+  /**
+   * 获取语言的显示名称（content script 界面文字为中文）
+   */
+  getLanguageName(language) {
+    try {
+      return new Intl.DisplayNames(['zh'], { type: 'language' }).of(language) || language
+    } catch {
+      return language
+    }
+  }
+
+  /**
+   * 翻译已识别语言的页面，源语言使用检测到的页面语言
+   * @param {string} pageLanguage - 页面语言
+   * @param {boolean} auto - 是否为"总是翻译该语言"触发的自动翻译
+   */
+  async translateDetectedPage(pageLanguage, auto = false) {
+    this.hideLanguageBar()
+
+    if (this.checkPageTranslationAllowed({ auto })) return
+
+    const result = await this.handleTranslatePage({
+      sourceLanguage: pageLanguage,
+      targetLanguage: this.languagePreferences.targetLanguage
+    })
+
+    // 右键菜单标题是全局的，只在当前页面可见时同步
+    if (result && result.success && document.visibilityState === 'visible') {
+      chrome.runtime.sendMessage({ type: 'UPDATE_CONTEXT_MENU', isTranslated: true }).catch(() => {})
+    }
+  }
+
+  /**
+   * 显示"是否翻译此页面"提示条
+   * @param {string} pageLanguage - 检测到的页面语言
+   */
+  showLanguageBar(pageLanguage) {
+    if (document.getElementById('chrome-ai-translator-language-bar')) return
+
+    const languageName = this.escapeHtml(this.getLanguageName(pageLanguage))
+    const targetName = this.escapeHtml(this.getLanguageName(this.languagePreferences.targetLanguage))
+
+    const bar = document.createElement('div')
+    bar.id = 'chrome-ai-translator-language-bar'
+    bar.innerHTML = `
+      <span class="bar-text">此页面的语言为${languageName}，是否翻译为${targetName}？</span>
+      <button class="bar-btn bar-btn-primary" data-action="translate">翻译</button>
+      <button class="bar-btn" data-action="always">总是翻译${languageName}</button>
+      <button class="bar-btn" data-action="never-site">从不翻译此网站</button>
+      <button class="bar-btn" data-action="never-language">从不翻译${languageName}</button>
+      <button class="bar-close" data-action="close" title="关闭">×</button>
+    `
+
+    Object.assign(bar.style, {
+      position: 'fixed',
+      top: '12px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      maxWidth: 'calc(100vw - 32px)',
+      padding: '8px 12px',
+      zIndex: '2147483647',
+      backgroundColor: 'white',
+      border: '1px solid #ddd',
+      borderRadius: '8px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      fontSize: '13px',
+      color: '#333'
+    })
+
+    if (!document.getElementById('chrome-ai-translator-language-bar-style')) {
+      const style = document.createElement('style')
+      style.id = 'chrome-ai-translator-language-bar-style'
+      style.textContent = `
+        #chrome-ai-translator-language-bar .bar-text {
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+        #chrome-ai-translator-language-bar .bar-btn {
+          flex-shrink: 0;
+          padding: 4px 10px;
+          border: 1px solid #dcdfe6;
+          border-radius: 4px;
+          background: white;
+          color: #606266;
+          font: inherit;
+          cursor: pointer;
+        }
+        #chrome-ai-translator-language-bar .bar-btn-primary {
+          border-color: #409eff;
+          background: #409eff;
+          color: white;
+        }
+        #chrome-ai-translator-language-bar .bar-close {
+          flex-shrink: 0;
+          background: none;
+          border: none;
+          font-size: 18px;
+          line-height: 1;
+          cursor: pointer;
+          color: #999;
+        }
+      `
+      document.head.appendChild(style)
+    }
+
+    bar.addEventListener('click', (event) => {
+      const button = event.target.closest('button')
+      if (button) {
+        this.handleLanguageBarAction(button.dataset.action, pageLanguage)
+      }
+    })
+
+    document.body.appendChild(bar)
+  }
+
+  /**
+   * 处理提示条按钮，"总是 / 从不"的选择保存后在之后的访问中生效
+   */
+  async handleLanguageBarAction(action, pageLanguage) {
+    try {
+      switch (action) {
+        case 'translate':
+          await this.translateDetectedPage(pageLanguage)
+          break
+
+        case 'always':
+          await chrome.runtime.sendMessage({ type: 'SET_LANGUAGE_RULE', language: pageLanguage, mode: 'always' })
+          await this.translateDetectedPage(pageLanguage)
+          break
+
+        case 'never-site':
+          this.hideLanguageBar()
+          await chrome.runtime.sendMessage({ type: 'UPDATE_SITE_RULE', url: location.href, changes: { neverTranslate: true } })
+          this.showSuccessMessage('已设置从不翻译此网站，可在扩展弹窗的"站点"页中修改')
+          break
+
+        case 'never-language':
+          this.hideLanguageBar()
+          await chrome.runtime.sendMessage({ type: 'SET_LANGUAGE_RULE', language: pageLanguage, mode: 'never' })
+          this.showSuccessMessage(`已设置从不翻译${this.getLanguageName(pageLanguage)}页面`)
+          break
+
+        default:
+          this.hideLanguageBar()
+      }
+    } catch (error) {
+      console.error('保存翻译选择失败:', error)
+      this.showErrorMessage('保存翻译选择失败，请稍后重试')
+    }
+  }
+
+  /**
+   * 隐藏"是否翻译此页面"提示条
+   */
+  hideLanguageBar() {
+    const bar = document.getElementById('chrome-ai-translator-language-bar')
+    if (bar) {
+      bar.remove()
     }
   }
 
@@ -1280,8 +3289,21 @@ class ContentTranslator {
    */
   getPageTextNodes() {
     const textNodes = []
+    // 开放的 Shadow Root 中的文本（Web Components）在页面文本之后依次收集
+    for (const root of [document.body, ...collectShadowRoots(document.body)]) {
+      this.collectTextNodes(root, textNodes)
+    }
+    return textNodes
+  }
+
+  /**
+   * 收集根节点下（不进入 Shadow Root）有意义的文本节点
+   * @param {Element|ShadowRoot} root
+   * @param {Array<Text>} textNodes - 收集结果
+   */
+  collectTextNodes(root, textNodes) {
     const walker = document.createTreeWalker(
-      document.body,
+      root,
       NodeFilter.SHOW_TEXT,
       {
         acceptNode: (node) => {
@@ -1299,7 +3321,7 @@ class ContentTranslator {
             parent.closest('#chrome-ai-translator-popup') ||
             parent.closest('#translation-progress') ||
             parent.closest('.translation-append') ||
-            parent.classList.contains('translation-append')) {
+            parent.closest('.translation-original')) {
             return NodeFilter.FILTER_REJECT
           }
 
@@ -1327,8 +3349,6 @@ class ContentTranslator {
     while (node = walker.nextNode()) {
       textNodes.push(node)
     }
-
-    return textNodes
   }
 
   /**
@@ -1348,6 +3368,22 @@ class ContentTranslator {
     return visibleNodes
   }
 
+  /**
+   * 获取可视区域内尚未翻译的翻译单元，跳过超长的单元
+   */
+  getVisibleUnits() {
+    const maxLength = CONSTANTS?.STORAGE_LIMITS?.MAX_TRANSLATION_TEXT_LENGTH || 5000
+
+    const units = this.blockSegmenter.extractUnits(document.body, (unit) =>
+      !this.bilingualRenderer.has(unit.nodes[0]) &&
+      unit.text.length <= maxLength &&
+      this.isElementInViewport(unit.block)
+    )
+
+    console.log(`找到 ${units.length} 个可视区域内的翻译单元`)
+    return units
+  }
+
   /**
    * 检查元素是否在可视区域内
    */
@@ -1394,32 +3430,33 @@ class ContentTranslator {
       clearTimeout(this.scrollTranslationTimeout)
       this.scrollTranslationHandler = null
     }
-    const translate = async (text) => {
-      try {
-        const res = await this.translateText(text, 'auto', targetLanguage)
-        return res?.result || ''
-      } catch (e) {
-        return ''
-      }
+    // 元素内容整体作为一个翻译单元，行内元素与块元素均转为标签，译文按原结构重建；
+    // 同时进入视口的元素合并为一次批量翻译
+    const units = new WeakMap()
+    const batch = this.createBatchTranslator(sourceLanguage, targetLanguage, { group: 'page', priority: 'visible' })
+    const translate = async (text, el) => {
+      const unit = this.blockSegmenter.createUnit([...el.childNodes])
+      if (!unit) return ''
+      units.set(el, unit)
+      return batch.translate(unit.text)
     }
     const apply = (el, translated) => {
-      if (!translated) return
-      // 避免重复附加
-      const existing = el.querySelector('.translation-append')
-      if (existing) existing.remove()
-      const span = document.createElement('span')
-      span.className = 'translation-append translated-text'
-      span.textContent = ` [${translated}]`
-      el.appendChild(span)
+      const unit = units.get(el)
+      if (unit && translated) this.renderUnitTranslation(unit, translated)
     }
     this.visibleObserver = new VisibleTranslationObserver({
       threshold: 0.1,
       rootMargin: '200px 0px',
       minLen: 8,
       maxLen: 500,
-      concurrency: 2,
+      // 实际翻译并发由 service worker 调度，这里只需容纳一个视口内同时进入的元素
+      concurrency: 100,
       translate,
       apply,
+      onStop: () => {
+        batch.cancel()
+        this.cancelTranslations('page')
+      },
     })
     this.visibleObserver.start()
   }
@@ -1432,127 +3469,82 @@ class ContentTranslator {
   }
 
   /**
-   * 翻译新进入可视区域的内容
+   * 把短时间内的多次单段翻译合并为一次批量翻译（一个视口内同时进入的元素一次发往 service worker）
+   * @param {Object} options - translateBatch 的 group / priority
+   * @returns {{translate: Function, cancel: Function}}
+   *   translate(text) 返回译文，失败或取消时返回空字符串；cancel() 丢弃尚未发出的片段
    */
-  async translateNewlyVisibleContent(sourceLanguage, targetLanguage) {
-    if (!this.isPageTranslated) return
+  createBatchTranslator(sourceLanguage, targetLanguage, options = {}) {
+    let pending = []
+    let timer = null
 
-    console.log('检查新进入可视区域的内容...')
+    const flush = async () => {
+      timer = null
+      const requests = pending
+      pending = []
 
-    // 获取当前可视区域内未翻译的文本节点
-    const allTextNodes = this.getPageTextNodes()
-    const newlyVisibleNodes = []
-
-    for (const node of allTextNodes) {
-      const parent = node.parentElement
-      if (parent && this.isElementInViewport(parent) && !parent.querySelector('.translation-append')) {
-        newlyVisibleNodes.push(node)
+      try {
+        await this.translateBatch(
+          requests.map((request, index) => ({ id: index, text: request.text })),
+          sourceLanguage,
+          targetLanguage,
+          {
+            ...options,
+            onResult: (id, response) => {
+              requests[id].resolve(response.success && response.result ? response.result : '')
+            }
+          }
+        )
+      } catch (error) {
+        if (error.name !== 'AbortError') console.error('批量翻译失败:', error)
       }
-    }
 
-    if (newlyVisibleNodes.length === 0) {
-      console.log('没有发现新的可翻译内容')
-      return
+      // 没有收到结果的片段（取消或失败）按未翻译处理
+      requests.forEach(request => request.resolve(''))
     }
 
-    console.log(`发现 ${newlyVisibleNodes.length} 个新的可翻译文本节点`)
-
-    // 提取文本内容
-    const texts = newlyVisibleNodes.map(node => node.textContent.trim()).filter(text => text.length > 0 && text.length <= 500)
-
-    if (texts.length === 0) {
-      console.log('没有找到符合翻译条件的新内容')
-      return
-    }
-
-    try {
-      // 通过 service worker 逐个翻译
-      const results = []
-      for (const text of texts) {
-        try {
-          const result = await this.translateText(text, sourceLanguage, targetLanguage)
-          results.push({
-            original: text,
-            translated: result.result || text
-          })
-        } catch (error) {
-          console.error('翻译失败:', error)
-          results.push({
-            original: text,
-            translated: text
-          })
-        }
-      }
-
-      // 将翻译结果应用到页面
-      let resultIndex = 0
-      let translatedCount = 0
-
-      for (let i = 0; i < newlyVisibleNodes.length; i++) {
-        const node = newlyVisibleNodes[i]
-        const originalText = node.textContent.trim()
-
-        if (originalText.length > 0 && originalText.length <= 500) {
-          const result = results[resultIndex]
-          if (result && result.translated !== result.original) {
-            this.appendTranslationToNode(node, result.translated)
-            translatedCount++
-          }
-          resultIndex++
-        }
+    return {
+      translate: (text) => new Promise((resolve) => {
+        pending.push({ text, resolve })
+        if (!timer) timer = setTimeout(flush, 16)
+      }),
+      cancel: () => {
+        clearTimeout(timer)
+        timer = null
+        pending.forEach(request => request.resolve(''))
+        pending = []
       }
-
-      if (translatedCount > 0) {
-        console.log(`新内容翻译完成，共翻译了 ${translatedCount} 个文本片段`)
-      }
-    } catch (error) {
-      console.error('翻译新内容失败:', error)
     }
   }
 
   /**
-   * 在文本节点右侧添加译文
+   * 按带标签的译文重建格式并显示，标签损坏时显示纯文本译文
+   * @param {Object} unit - 翻译单元
+   * @param {string} translated - 带行内元素标签的译文
+   * @returns {boolean} 是否显示了译文（译文与原文相同时不显示）
    */
-  appendTranslationToNode(textNode, translatedText, isError = false) {
-    const parent = textNode.parentElement;
-    if (!parent) return;
+  renderUnitTranslation(unit, translated) {
+    if (!unit.nodes[0].isConnected) return false
 
-    // 检查是否已经有翻译结果
-    const existingTranslation = parent.querySelector('.translation-append');
-    if (existingTranslation) {
-      existingTranslation.remove();
-    }
-
-    // 创建翻译元素
-    const translationElement = document.createElement('span');
-    translationElement.className = 'translation-append translated-text';
+    const translation = this.blockSegmenter.rebuild(unit, translated)
+    if (!translation.text || translation.text === unit.plain) return false
 
-    if (isError) {
-      // 显示翻译失败提示
-      translationElement.textContent = ' [翻译失败]';
-      translationElement.style.color = '#f56c6c';
-      translationElement.style.fontSize = '12px';
-    } else {
-      translationElement.textContent = ` [${translatedText}]`;
-    }
-
-    // 在文本节点后插入翻译
-    if (textNode.nextSibling) {
-      parent.insertBefore(translationElement, textNode.nextSibling);
-    } else {
-      parent.appendChild(translationElement);
-    }
+    this.bilingualRenderer.add(unit.nodes, translation)
+    return true
   }
 
   /**
    * 显示翻译进度
+   * @param {string} message - 进度文本
+   * @param {Object} options - 可选参数
+   * @param {boolean} options.pausable - 显示暂停/继续按钮（整页翻译）
    */
-  showTranslationProgress(message) {
+  showTranslationProgress(message, options = {}) {
+    // 子框架的页面翻译由顶层框架发起，进度只在顶层框架显示
+    if (!this.isTopFrame) return
+
     // 移除现有进度提示
-    const existingProgress = document.getElementById('translation-progress')
-    if (existingProgress) {
-      existingProgress.remove()
-    }
+    this.hideTranslationProgress()
 
     const progressElement = document.createElement('div')
     progressElement.id = 'translation-progress'
@@ -1561,8 +3553,20 @@ class ContentTranslator {
       <div class="progress-bar">
         <div class="progress-fill"></div>
       </div>
+      ${options.pausable ? '<button type="button" class="progress-toggle">暂停</button>' : ''}
     `
 
+    const toggle = progressElement.querySelector('.progress-toggle')
+    if (toggle) {
+      toggle.addEventListener('click', () => {
+        if (this.documentTranslation?.paused) {
+          this.resumeDocumentTranslation()
+        } else {
+          this.pauseDocumentTranslation()
+        }
+      })
+    }
+
     Object.assign(progressElement.style, {
       position: 'fixed',
       top: '20px',
@@ -1603,6 +3607,20 @@ class ContentTranslator {
         transition: width 0.3s ease;
         animation: progress-pulse 1.5s ease-in-out infinite;
       }
+      #translation-progress .progress-toggle {
+        margin-top: 8px;
+        padding: 2px 12px;
+        border: 1px solid rgba(255, 255, 255, 0.8);
+        border-radius: 4px;
+        background: transparent;
+        color: inherit;
+        font: inherit;
+        font-size: 12px;
+        cursor: pointer;
+      }
+      #translation-progress .progress-toggle:hover {
+        background: rgba(255, 255, 255, 0.15);
+      }
       @keyframes progress-pulse {
         0%, 100% { opacity: 1; }
         50% { opacity: 0.7; }
@@ -1705,8 +3723,9 @@ class ContentTranslator {
    * 销毁 Content Script
    */
   destroy() {
-    // 隐藏覆盖层
+    // 隐藏覆盖层与页面语言提示条
     this.hideOverlay()
+    this.hideLanguageBar()
 
     // 移除事件监听器
     document.removeEventListener('mouseup', this.handleTextSelection)
@@ -1715,6 +3734,7 @@ class ContentTranslator {
     document.removeEventListener('click', this.handleDocumentClick)
     document.removeEventListener('scroll', this.handleDocumentScroll)
     window.removeEventListener('resize', this.handleWindowResize)
+    document.removeEventListener('contextmenu', this.handleContextMenu, true)
 
     // 停止可视区域翻译观察器
     if (this.visibleObserver) {
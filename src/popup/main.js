@@ -2,6 +2,8 @@ import { createApp } from 'vue';
 
 import AutoUpdater from '../shared/auto-updater.js';
 import lazyLoader from '../shared/lazy-loader.js';
+import { watchTheme } from '../shared/theme.js';
+import translationCore from '../shared/translation-core.js';
 import '../styles/index.css';
 import App from './App.vue';
 
@@ -22,8 +24,12 @@ async function initializeApp() {
   try {
     console.log('🚀 初始化Chrome AI翻译扩展...');
 
-    // 1. 检查Chrome Translator API支持
-    if (!('Translator' in self)) {
+    // 0. 应用设置中的主题（设置变化时自动切换）
+    await watchTheme();
+
+    // 1. 检查翻译后端支持（Chrome Translator API 或设置中的其他后端）
+    await translationCore.getProviderChain();
+    if (!translationCore.isTranslatorAvailable()) {
       throw new Error('当前浏览器版本不支持AI翻译功能，请升级到Chrome 138或更高版本');
     }
 
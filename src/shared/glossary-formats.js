@@ -0,0 +1,205 @@
+/**
+ * 术语表导入导出格式
+ * CSV：表头 source_language,target_language,source,target,case_sensitive,whole_word；
+ *      只有两列（原文、译法）时使用导入时选择的语言对
+ * TBX：读取 TBX v2（termEntry / langSet / tig）与 TBX v3（conceptEntry / langSec / termSec），导出为 TBX v2
+ */
+
+const CSV_COLUMNS = ['source_language', 'target_language', 'source', 'target', 'case_sensitive', 'whole_word']
+
+/**
+ * 解析 CSV 文本（支持引号包裹、字段内逗号、换行与转义引号）
+ * @param {string} text
+ * @returns {string[][]} 行数组
+ */
+function parseCsvRows(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  const input = text.replace(/^\uFEFF/, '')
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()))
+}
+
+/**
+ * 解析布尔字段，空值使用默认值
+ */
+function parseBoolean(value, defaultValue) {
+  const normalized = String(value ?? '').trim().toLowerCase()
+  if (!normalized) return defaultValue
+  return ['1', 'true', 'yes', 'y', '是'].includes(normalized)
+}
+
+/**
+ * 从 CSV 导入术语条目
+ * @param {string} text - CSV 文本
+ * @param {Object} defaults - 缺少语言列时使用的语言对 { sourceLanguage, targetLanguage }
+ * @returns {Array<Object>} 未规范化的条目
+ */
+export function parseGlossaryCsv(text, defaults = {}) {
+  const rows = parseCsvRows(text)
+  if (rows.length === 0) return []
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase())
+  const hasHeader = header.includes('source') && header.includes('target')
+  const column = (name, fallback) => hasHeader ? header.indexOf(name) : fallback
+
+  const columns = {
+    sourceLanguage: column('source_language', -1),
+    targetLanguage: column('target_language', -1),
+    source: column('source', 0),
+    target: column('target', 1),
+    caseSensitive: column('case_sensitive', -1),
+    wholeWord: column('whole_word', -1)
+  }
+  const cell = (cells, index) => index >= 0 ? (cells[index] ?? '').trim() : ''
+
+  return rows.slice(hasHeader ? 1 : 0).map(cells => ({
+    sourceLanguage: cell(cells, columns.sourceLanguage) || defaults.sourceLanguage,
+    targetLanguage: cell(cells, columns.targetLanguage) || defaults.targetLanguage,
+    source: cell(cells, columns.source),
+    target: cell(cells, columns.target),
+    caseSensitive: parseBoolean(cell(cells, columns.caseSensitive), false),
+    wholeWord: parseBoolean(cell(cells, columns.wholeWord), true)
+  }))
+}
+
+/**
+ * 导出术语条目为 CSV
+ * @param {Array<Object>} entries
+ * @returns {string}
+ */
+export function toGlossaryCsv(entries) {
+  const escape = (value) => {
+    const text = String(value ?? '')
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+
+  const lines = entries.map(entry => [
+    entry.sourceLanguage,
+    entry.targetLanguage,
+    entry.source,
+    entry.target,
+    entry.caseSensitive ? 'true' : 'false',
+    entry.wholeWord ? 'true' : 'false'
+  ].map(escape).join(','))
+
+  return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n'
+}
+
+/**
+ * 从 TBX 导入指定语言对的术语条目（依赖 DOMParser，仅在扩展页面中使用）
+ * 每个概念条目取源语言与目标语言下的第一个术语
+ * @param {string} xml - TBX 文本
+ * @param {Object} pair - 要导入的语言对 { sourceLanguage, targetLanguage }
+ * @returns {Array<Object>} 未规范化的条目
+ */
+export function parseGlossaryTbx(xml, pair) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('TBX 文件格式错误')
+  }
+
+  const primary = (code) => String(code || '').toLowerCase().split(/[-_]/)[0]
+  const getLanguage = (element) => element.getAttribute('xml:lang') || element.getAttribute('lang') || ''
+  const findTerm = (entry, language) => {
+    const sections = Array.from(entry.children).filter(child => ['langSet', 'langSec'].includes(child.localName))
+    const section = sections.find(item => primary(getLanguage(item)) === primary(language))
+    const term = section?.getElementsByTagNameNS('*', 'term')[0]
+    return term ? term.textContent.trim() : ''
+  }
+
+  const conceptEntries = [
+    ...doc.getElementsByTagNameNS('*', 'termEntry'),
+    ...doc.getElementsByTagNameNS('*', 'conceptEntry')
+  ]
+
+  return conceptEntries
+    .map(entry => ({
+      sourceLanguage: pair.sourceLanguage,
+      targetLanguage: pair.targetLanguage,
+      source: findTerm(entry, pair.sourceLanguage),
+      target: findTerm(entry, pair.targetLanguage)
+    }))
+    .filter(entry => entry.source && entry.target)
+}
+
+/**
+ * 导出术语条目为 TBX v2；同一原文术语的多个目标语言合并到同一个 termEntry
+ * @param {Array<Object>} entries
+ * @returns {string}
+ */
+export function toGlossaryTbx(entries) {
+  const escape = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+  const concepts = new Map()
+  for (const entry of entries) {
+    const key = `${entry.sourceLanguage}\u0000${entry.source}`
+    if (!concepts.has(key)) {
+      concepts.set(key, { sourceLanguage: entry.sourceLanguage, source: entry.source, targets: [] })
+    }
+    concepts.get(key).targets.push(entry)
+  }
+
+  const termEntries = Array.from(concepts.values(), (concept, index) => {
+    const langSets = [
+      `      <langSet xml:lang="${escape(concept.sourceLanguage)}"><tig><term>${escape(concept.source)}</term></tig></langSet>`,
+      ...concept.targets.map(entry =>
+        `      <langSet xml:lang="${escape(entry.targetLanguage)}"><tig><term>${escape(entry.target)}</term></tig></langSet>`
+      )
+    ]
+    return `    <termEntry id="c${index + 1}">\n${langSets.join('\n')}\n    </termEntry>`
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<martif type="TBX" xml:lang="en">',
+    '  <martifHeader><fileDesc><sourceDesc><p>Chrome AI Translator glossary</p></sourceDesc></fileDesc></martifHeader>',
+    '  <text><body>',
+    ...termEntries,
+    '  </body></text>',
+    '</martif>',
+    ''
+  ].join('\n')
+}
@@ -0,0 +1,210 @@
+import { STORAGE_KEYS } from './constants.json'
+
+// 术语首尾为字母或数字时才检查词边界，中日文等不以空格分词的术语直接匹配
+const WORD_CHAR = /[\p{L}\p{N}_]/u
+const CJK_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u
+
+/**
+ * 术语表管理器 - 按语言对保存"原文术语 → 指定译法"，翻译时保护术语并填入指定译法
+ * 条目字段：sourceLanguage、targetLanguage、source、target、caseSensitive（区分大小写）、wholeWord（整词匹配）
+ * 条目数量不受 sync 单项 8KB 限制，因此存入 chrome.storage.local
+ */
+class GlossaryManager {
+  constructor() {
+    this.entries = null
+    this.watchStorage()
+  }
+
+  /**
+   * 检查存储API可用性
+   */
+  isStorageAvailable() {
+    return typeof chrome !== 'undefined' && !!chrome.storage
+  }
+
+  /**
+   * 术语表变化时丢弃已读取的条目（popup 修改后 Service Worker 立即生效）
+   */
+  watchStorage() {
+    if (!this.isStorageAvailable() || !chrome.storage.onChanged) return
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[STORAGE_KEYS.GLOSSARY]) {
+        this.entries = null
+      }
+    })
+  }
+
+  /**
+   * 获取全部术语条目
+   * @returns {Promise<Array<Object>>}
+   */
+  async getEntries() {
+    if (this.entries) return this.entries
+
+    try {
+      if (!this.isStorageAvailable()) {
+        const stored = localStorage.getItem(STORAGE_KEYS.GLOSSARY)
+        this.entries = stored ? JSON.parse(stored) : []
+      } else {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.GLOSSARY)
+        this.entries = result[STORAGE_KEYS.GLOSSARY] || []
+      }
+    } catch (error) {
+      console.error('获取术语表失败:', error)
+      return []
+    }
+    return this.entries
+  }
+
+  /**
+   * 保存全部术语条目
+   * @param {Array<Object>} entries
+   */
+  async saveEntries(entries) {
+    this.entries = entries
+
+    if (!this.isStorageAvailable()) {
+      localStorage.setItem(STORAGE_KEYS.GLOSSARY, JSON.stringify(entries))
+      return
+    }
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.GLOSSARY]: entries })
+  }
+
+  /**
+   * 获取某个语言对的术语条目（按主语言匹配，如 zh-CN 与 zh 视为相同）
+   * @returns {Promise<Array<Object>>}
+   */
+  async getEntriesForPair(sourceLanguage, targetLanguage) {
+    const source = this.getPrimaryLanguage(sourceLanguage)
+    const target = this.getPrimaryLanguage(targetLanguage)
+    const entries = await this.getEntries()
+
+    return entries.filter(entry =>
+      this.getPrimaryLanguage(entry.sourceLanguage) === source &&
+      this.getPrimaryLanguage(entry.targetLanguage) === target
+    )
+  }
+
+  /**
+   * 新增或更新术语条目；同一语言对下原文相同（按大小写选项比较）的条目视为同一条
+   * @param {Array<Object>} items - 条目
+   * @returns {Promise<{added: number, updated: number}>}
+   */
+  async upsertEntries(items) {
+    const entries = [...await this.getEntries()]
+    let added = 0
+    let updated = 0
+
+    for (const item of items) {
+      const entry = this.normalizeEntry(item)
+      if (!entry) continue
+
+      const index = entries.findIndex(existing => existing.id === entry.id || this.isSameTerm(existing, entry))
+      if (index === -1) {
+        entries.push(entry)
+        added++
+      } else {
+        entries[index] = { ...entry, id: entries[index].id }
+        updated++
+      }
+    }
+
+    await this.saveEntries(entries)
+    return { added, updated }
+  }
+
+  /**
+   * 删除术语条目
+   * @param {string} id - 条目 ID
+   */
+  async removeEntry(id) {
+    const entries = await this.getEntries()
+    await this.saveEntries(entries.filter(entry => entry.id !== id))
+  }
+
+  /**
+   * 规范化条目，缺少原文、译法或语言时返回 null
+   * @param {Object} item
+   * @returns {Object|null}
+   */
+  normalizeEntry(item = {}) {
+    const source = String(item.source || '').trim()
+    const target = String(item.target || '').trim()
+    const sourceLanguage = String(item.sourceLanguage || '').trim()
+    const targetLanguage = String(item.targetLanguage || '').trim()
+    if (!source || !target || !sourceLanguage || !targetLanguage) return null
+
+    return {
+      id: item.id || `term-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      sourceLanguage,
+      targetLanguage,
+      source,
+      target,
+      caseSensitive: !!item.caseSensitive,
+      wholeWord: item.wholeWord !== false,
+      updatedAt: Date.now()
+    }
+  }
+
+  /**
+   * 两个条目是否为同一语言对下的同一术语
+   */
+  isSameTerm(a, b) {
+    if (this.getPrimaryLanguage(a.sourceLanguage) !== this.getPrimaryLanguage(b.sourceLanguage)) return false
+    if (this.getPrimaryLanguage(a.targetLanguage) !== this.getPrimaryLanguage(b.targetLanguage)) return false
+    return a.caseSensitive || b.caseSensitive
+      ? a.source === b.source
+      : a.source.toLowerCase() === b.source.toLowerCase()
+  }
+
+  /**
+   * 提取主语言代码
+   */
+  getPrimaryLanguage(code) {
+    return String(code || '').toLowerCase().replace('_', '-').split('-')[0]
+  }
+
+  /**
+   * 构建条目的匹配正则
+   * @param {Object} entry
+   * @returns {RegExp}
+   */
+  buildPattern(entry) {
+    const escaped = entry.source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    const checkStart = entry.wholeWord && WORD_CHAR.test(entry.source[0]) && !CJK_CHAR.test(entry.source[0])
+    const last = entry.source[entry.source.length - 1]
+    const checkEnd = entry.wholeWord && WORD_CHAR.test(last) && !CJK_CHAR.test(last)
+
+    const pattern = `${checkStart ? '(?<![\\p{L}\\p{N}_])' : ''}${escaped}${checkEnd ? '(?![\\p{L}\\p{N}_])' : ''}`
+    return new RegExp(pattern, entry.caseSensitive ? 'gu' : 'giu')
+  }
+
+  /**
+   * 查找文本中命中的术语，交给 textMasker 替换为占位符，翻译后填入指定译法
+   * 同一位置命中多个条目时由 textMasker 保留更长的匹配
+   * @param {string} text - 原文
+   * @param {string} sourceLanguage - 实际源语言
+   * @param {string} targetLanguage - 目标语言
+   * @returns {Promise<Array<{start: number, end: number, source: string, target: string, kind: string}>>}
+   */
+  async findTerms(text, sourceLanguage, targetLanguage) {
+    const entries = await this.getEntriesForPair(sourceLanguage, targetLanguage)
+    const spans = []
+
+    for (const entry of entries) {
+      for (const match of text.matchAll(this.buildPattern(entry))) {
+        spans.push({ start: match.index, end: match.index + match[0].length, source: match[0], target: entry.target, kind: 'glossary' })
+      }
+    }
+
+    return spans
+  }
+}
+
+// 创建单例实例
+const glossaryManager = new GlossaryManager()
+
+export default glossaryManager
+export { GlossaryManager }
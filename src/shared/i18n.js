@@ -1,11 +1,21 @@
+import settingsService from './settings.js';
+
+// 已提供 _locales 文案的界面语言
+const SUPPORTED_UI_LOCALES = ['zh_CN', 'en'];
+
 /**
  * 国际化管理器 - 处理多语言支持
+ * 默认使用 chrome.i18n（跟随浏览器界面语言）；设置 uiLanguage 后改为直接读取对应的 _locales 文案，
+ * 无需重启扩展即可切换
  */
 class I18nManager {
   constructor() {
+    this.fallbackLocale = 'zh_CN';
     this.currentLocale = this.detectLocale();
+    // 语言环境 -> 已加载的 messages.json
     this.messages = new Map();
-    this.fallbackLocale = 'zh_CN';
+    // 用户指定的界面语言，'auto' 表示跟随浏览器
+    this.uiLanguage = 'auto';
   }
 
   /**
@@ -32,6 +42,12 @@ class I18nManager {
    */
   getMessage(key, substitutions = []) {
     try {
+      // 指定了界面语言时优先使用已加载的文案
+      const entry = this.messages.get(this.currentLocale)?.[key];
+      if (entry) {
+        return this.fillPlaceholders(entry, substitutions);
+      }
+
       // 使用Chrome内置的i18n API
       const message = chrome.i18n.getMessage(key, substitutions);
       
@@ -48,6 +64,57 @@ class I18nManager {
     }
   }
 
+  /**
+   * 按 chrome.i18n 的规则替换 messages.json 中的具名占位符
+   */
+  fillPlaceholders(entry, substitutions) {
+    const values = Array.isArray(substitutions) ? substitutions : [substitutions];
+    let message = entry.message;
+
+    Object.entries(entry.placeholders || {}).forEach(([name, placeholder]) => {
+      const content = placeholder.content.replace(/\$(\d)/g, (match, index) => values[index - 1] ?? '');
+      message = message.replace(new RegExp(`\\$${name}\\$`, 'gi'), () => content);
+    });
+
+    return message.replace(/\$\$/g, '$');
+  }
+
+  /**
+   * 加载指定语言环境的 _locales 文案
+   */
+  async loadMessages(locale) {
+    if (this.messages.has(locale)) return;
+
+    const response = await fetch(chrome.runtime.getURL(`_locales/${locale}/messages.json`));
+    this.messages.set(locale, await response.json());
+  }
+
+  /**
+   * 切换界面语言
+   * @param {string} uiLanguage - 'auto'（跟随浏览器）或 SUPPORTED_UI_LOCALES 中的语言环境
+   * @returns {Promise<boolean>} 当前语言环境是否发生变化
+   */
+  async setUILanguage(uiLanguage = 'auto') {
+    const previousLocale = this.currentLocale;
+    this.uiLanguage = SUPPORTED_UI_LOCALES.includes(uiLanguage) ? uiLanguage : 'auto';
+
+    if (this.uiLanguage === 'auto') {
+      this.currentLocale = this.detectLocale();
+      // 跟随浏览器时交还给 chrome.i18n
+      this.messages.clear();
+    } else {
+      try {
+        await this.loadMessages(this.uiLanguage);
+        this.currentLocale = this.uiLanguage;
+      } catch (error) {
+        console.error(`Failed to load messages for ${this.uiLanguage}:`, error);
+        this.currentLocale = this.detectLocale();
+      }
+    }
+
+    return this.currentLocale !== previousLocale;
+  }
+
   /**
    * 获取语言名称
    */
@@ -213,8 +280,9 @@ class I18nManager {
    */
   async initialize() {
     try {
-      // 检测并设置当前语言环境
-      this.currentLocale = this.detectLocale();
+      // 读取用户指定的界面语言，未指定时跟随浏览器
+      const { uiLanguage } = await settingsService.getSettings();
+      await this.setUILanguage(uiLanguage);
       
       console.log(`I18n initialized with locale: ${this.currentLocale}`);
       return true;
@@ -0,0 +1,108 @@
+import { STORAGE_KEYS } from './constants.json'
+
+// 凭据字段及默认值
+const DEFAULT_CREDENTIALS = {
+  libreTranslateApiKey: ''
+}
+
+/**
+ * 只保留已知字段，非字符串的值视为未设置
+ * @param {Object} stored
+ * @returns {Object}
+ */
+function normalizeCredentials(stored) {
+  const source = stored && typeof stored === 'object' ? stored : {}
+  const value = {}
+  for (const [key, defaultValue] of Object.entries(DEFAULT_CREDENTIALS)) {
+    value[key] = typeof source[key] === 'string' ? source[key].trim() : defaultValue
+  }
+  return value
+}
+
+/**
+ * 翻译后端凭据（如 LibreTranslate API Key）
+ * 保存在 chrome.storage.local（Service Worker 启动时限制为仅扩展页面与 Service Worker 可访问），不随账号同步，
+ * 也不属于扩展设置，因此不会随设置发给 content script；
+ * 只由 Service Worker 读取，设置页面通过消息写入，只能查询是否已配置
+ */
+class ProviderCredentials {
+  constructor() {
+    this.value = null // 最近一次读取或收到变化的值
+    this.listeners = new Set()
+    this.watchStorage()
+  }
+
+  /**
+   * 读取全部凭据（返回副本）
+   * @returns {Promise<Object>}
+   */
+  async get() {
+    if (!this.value) {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.PROVIDER_CREDENTIALS)
+      this.value = normalizeCredentials(result[STORAGE_KEYS.PROVIDER_CREDENTIALS])
+    }
+    return { ...this.value }
+  }
+
+  /**
+   * 合并写入部分凭据，空字符串表示清除
+   * @param {Object} changes - 要修改的字段
+   * @returns {Promise<Object>} 写入后的配置状态
+   */
+  async update(changes) {
+    const value = normalizeCredentials({ ...await this.get(), ...changes })
+    await chrome.storage.local.set({ [STORAGE_KEYS.PROVIDER_CREDENTIALS]: value })
+    this.value = value
+    return this.describe(value)
+  }
+
+  /**
+   * 各凭据是否已配置（不含凭据内容，可以返回给设置页面）
+   * @returns {Promise<Object<string, boolean>>}
+   */
+  async getStatus() {
+    return this.describe(await this.get())
+  }
+
+  /**
+   * 把凭据转换为 { 字段: 是否已配置 }
+   */
+  describe(value) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, !!item]))
+  }
+
+  /**
+   * 订阅凭据变化
+   * @param {Function} listener - (credentials) => void
+   * @returns {Function} 取消订阅
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * 监听 chrome.storage.local 变化（包括迁移写入），更新当前值并通知订阅者
+   */
+  watchStorage() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[STORAGE_KEYS.PROVIDER_CREDENTIALS]
+      if (areaName !== 'local' || !change) return
+
+      this.value = normalizeCredentials(change.newValue)
+      for (const listener of this.listeners) {
+        try {
+          listener({ ...this.value })
+        } catch (error) {
+          console.error('凭据订阅者处理失败:', error)
+        }
+      }
+    })
+  }
+}
+
+// 创建单例实例
+const providerCredentials = new ProviderCredentials()
+
+export default providerCredentials
+export { ProviderCredentials }
@@ -0,0 +1,165 @@
+import { SUPPORTED_LANGUAGES } from '../constants.json'
+import translatorPool from '../translator-pool.js'
+import TranslationProvider from './translation-provider.js'
+
+/**
+ * Chrome 内置翻译后端 - 基于 Translator / LanguageDetector API（Chrome 138+），完全离线
+ * 翻译器实例由 translatorPool 按语言对复用
+ */
+class ChromeProvider extends TranslationProvider {
+  constructor() {
+    super({ id: 'chrome', name: 'Chrome 内置翻译' })
+    this.pool = translatorPool
+    this.detector = null
+    this.availablePairs = new Set() // 已确认可用的语言对，模型就绪后不会再变为不可用
+  }
+
+  isAvailable() {
+    return typeof self !== 'undefined' && 'Translator' in self
+  }
+
+  isDetectorAvailable() {
+    return typeof self !== 'undefined' && 'LanguageDetector' in self
+  }
+
+  async availability(sourceLanguage, targetLanguage) {
+    if (!this.isAvailable()) return 'unavailable'
+
+    const key = `${sourceLanguage}->${targetLanguage}`
+    if (this.availablePairs.has(key)) return 'available'
+
+    try {
+      const status = await Translator.availability({ sourceLanguage, targetLanguage })
+      if (status === 'available') this.availablePairs.add(key)
+      return status
+    } catch (error) {
+      console.warn(`查询语言对状态失败: ${sourceLanguage} -> ${targetLanguage}`, error)
+      return 'unavailable'
+    }
+  }
+
+  /**
+   * Translator API 没有列出语言对的接口，按扩展支持的语言逐对并行查询
+   */
+  async getSupportedPairs() {
+    const languages = SUPPORTED_LANGUAGES.filter(language => language.code !== 'auto')
+    const candidates = languages.flatMap(source => languages
+      .filter(target => target.code !== source.code)
+      .map(target => ({ sourceLanguage: source.code, targetLanguage: target.code })))
+
+    const results = await Promise.all(candidates.map(async (pair) => ({
+      ...pair,
+      availability: await this.availability(pair.sourceLanguage, pair.targetLanguage)
+    })))
+
+    return results.filter(pair => pair.availability !== 'unavailable')
+  }
+
+  async translate(text, sourceLanguage, targetLanguage, options = {}) {
+    const { signal } = options
+
+    try {
+      if (!this.isAvailable()) {
+        throw new Error('Translator API 不可用')
+      }
+
+      signal?.throwIfAborted()
+
+      // 从实例池复用同一语言对的翻译器
+      const result = await this.pool.use(sourceLanguage, targetLanguage, (translator) => {
+        signal?.throwIfAborted()
+        return translator.translate(text, signal ? { signal } : undefined)
+      })
+      return result || text
+    } catch (error) {
+      if (error?.name === 'AbortError') throw error
+      console.error('翻译失败:', error)
+      throw new Error(`翻译失败: ${error.message}`)
+    }
+  }
+
+  async translateStreaming(text, sourceLanguage, targetLanguage, onChunk = null, options = {}) {
+    const { signal } = options
+
+    try {
+      if (!this.isAvailable()) {
+        throw new Error('Translator API 不可用')
+      }
+
+      signal?.throwIfAborted()
+
+      let fullResult = ''
+
+      await this.pool.use(sourceLanguage, targetLanguage, async (translator) => {
+        signal?.throwIfAborted()
+        const stream = translator.translateStreaming(text, signal ? { signal } : undefined)
+
+        for await (const chunk of stream) {
+          const delta = this.toStreamingDelta(chunk, fullResult)
+          if (!delta) continue
+
+          fullResult += delta
+          if (onChunk) {
+            onChunk(delta, fullResult)
+          }
+        }
+      })
+
+      return fullResult || text
+    } catch (error) {
+      if (error?.name === 'AbortError') throw error
+      console.error('流式翻译失败:', error)
+      throw new Error(`翻译失败: ${error.message}`)
+    }
+  }
+
+  /**
+   * 将流式数据块统一转换为增量
+   * 早期版本的 translateStreaming 每次返回累计结果，新版本返回增量
+   * @param {string} chunk - 流中读取到的数据块
+   * @param {string} fullResult - 已累计的结果
+   * @returns {string} 增量文本
+   */
+  toStreamingDelta(chunk, fullResult) {
+    if (!chunk) return ''
+    if (fullResult && chunk.length > fullResult.length && chunk.startsWith(fullResult)) {
+      return chunk.slice(fullResult.length)
+    }
+    return chunk
+  }
+
+  async detectLanguage(text) {
+    try {
+      if (!this.isDetectorAvailable()) {
+        console.warn('LanguageDetector API 不可用')
+        return null
+      }
+
+      if (!this.detector) {
+        this.detector = await LanguageDetector.create()
+      }
+
+      const results = await this.detector.detect(text)
+      const top = results && results[0]
+      if (top && top.detectedLanguage && top.detectedLanguage !== 'und') {
+        return { language: top.detectedLanguage, confidence: top.confidence ?? 0 }
+      }
+      return null
+    } catch (error) {
+      console.warn('语言检测出错:', error.message)
+      return null
+    }
+  }
+
+  cleanup() {
+    this.pool.clear()
+    this.detector = null
+    this.availablePairs.clear()
+  }
+}
+
+// 创建单例实例
+const chromeProvider = new ChromeProvider()
+
+export default chromeProvider
+export { ChromeProvider }
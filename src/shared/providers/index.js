@@ -0,0 +1,32 @@
+import chromeProvider from './chrome-provider.js'
+import libreTranslateProvider from './libre-translate-provider.js'
+import mockProvider from './mock-provider.js'
+
+/**
+ * 已注册的翻译后端，键与 TRANSLATION_PROVIDERS 中的 id 一致
+ * 新增后端时继承 TranslationProvider 并在此注册
+ */
+const providers = {
+  [chromeProvider.id]: chromeProvider,
+  [libreTranslateProvider.id]: libreTranslateProvider,
+  [mockProvider.id]: mockProvider
+}
+
+/**
+ * 按 id 获取翻译后端
+ * @param {string} id - 后端标识
+ * @returns {TranslationProvider|null}
+ */
+function getProvider(id) {
+  return providers[id] || null
+}
+
+/**
+ * 获取全部已注册的翻译后端
+ * @returns {TranslationProvider[]}
+ */
+function getAllProviders() {
+  return Object.values(providers)
+}
+
+export { chromeProvider, getAllProviders, getProvider, libreTranslateProvider, mockProvider }
@@ -0,0 +1,186 @@
+import { TRANSLATOR_CONFIG } from '../constants.json'
+import TranslationProvider from './translation-provider.js'
+
+// 语言列表缓存时长
+const LANGUAGES_TTL = 10 * 60 * 1000
+
+/**
+ * LibreTranslate 兼容的 HTTP 翻译后端 - 用于自建的 LibreTranslate 服务
+ * 接口：GET /languages、POST /translate、POST /detect；配置了 API Key 时随请求发送 api_key
+ * 服务端不支持流式输出，流式翻译时整段作为唯一的数据块返回
+ */
+class LibreTranslateProvider extends TranslationProvider {
+  constructor() {
+    super({ id: 'libretranslate', name: 'LibreTranslate' })
+    this.url = ''
+    this.apiKey = ''
+    this.languages = null
+    this.languagesFetchedAt = 0
+  }
+
+  /**
+   * 读取扩展设置中的服务地址与后端凭据中的 API Key（仅 Service Worker 中提供），地址变化时丢弃已缓存的语言列表
+   */
+  configure(settings) {
+    const url = String(settings.libreTranslateUrl || '').trim().replace(/\/+$/, '')
+    if (url !== this.url) {
+      this.languages = null
+    }
+    this.url = url
+    this.apiKey = settings.libreTranslateApiKey || ''
+  }
+
+  isAvailable() {
+    return !!this.url
+  }
+
+  isDetectorAvailable() {
+    return this.isAvailable()
+  }
+
+  /**
+   * 发送请求，带超时；body 为空时发送 GET
+   * @param {string} path - 接口路径
+   * @param {Object|null} body - POST 请求体
+   * @param {AbortSignal} signal - 取消信号
+   */
+  async request(path, body = null, signal = undefined) {
+    const timeout = AbortSignal.timeout(TRANSLATOR_CONFIG.TRANSLATION_TIMEOUT)
+    const init = {
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    }
+
+    if (body) {
+      init.method = 'POST'
+      init.headers = { 'Content-Type': 'application/json' }
+      init.body = JSON.stringify(this.apiKey ? { ...body, api_key: this.apiKey } : body)
+    }
+
+    const response = await fetch(`${this.url}${path}`, init)
+    const data = await response.json().catch(() => null)
+    if (!response.ok) {
+      throw new Error(data?.error || `HTTP ${response.status}`)
+    }
+    return data
+  }
+
+  /**
+   * 获取服务端支持的语言列表
+   * @returns {Promise<Array<{code: string, name: string, targets?: string[]}>>}
+   */
+  async getLanguages() {
+    if (this.languages && Date.now() - this.languagesFetchedAt < LANGUAGES_TTL) {
+      return this.languages
+    }
+
+    const languages = await this.request('/languages')
+    this.languages = Array.isArray(languages) ? languages : []
+    this.languagesFetchedAt = Date.now()
+    return this.languages
+  }
+
+  /**
+   * 将语言代码映射为服务端使用的代码：优先精确匹配，其次按主语言匹配（如 zh 对应 zh-Hans）
+   * @returns {Object|null} 服务端的语言项
+   */
+  findLanguage(languages, code) {
+    const primary = String(code).toLowerCase().split('-')[0]
+    return languages.find(language => language.code.toLowerCase() === String(code).toLowerCase()) ||
+      languages.find(language => language.code.toLowerCase().split('-')[0] === primary) ||
+      null
+  }
+
+  /**
+   * 查找语言对在服务端的代码
+   * @returns {Promise<{source: string, target: string}|null>} 不支持时返回 null
+   */
+  async resolvePair(sourceLanguage, targetLanguage) {
+    const languages = await this.getLanguages()
+    const source = this.findLanguage(languages, sourceLanguage)
+    const target = this.findLanguage(languages, targetLanguage)
+    if (!source || !target || source.code === target.code) return null
+
+    // 旧版本服务端没有 targets 字段，视为可互译
+    if (Array.isArray(source.targets) && !source.targets.includes(target.code)) return null
+    return { source: source.code, target: target.code }
+  }
+
+  async availability(sourceLanguage, targetLanguage) {
+    if (!this.isAvailable()) return 'unavailable'
+
+    try {
+      return await this.resolvePair(sourceLanguage, targetLanguage) ? 'available' : 'unavailable'
+    } catch (error) {
+      console.warn('获取 LibreTranslate 语言列表失败:', error.message)
+      return 'unavailable'
+    }
+  }
+
+  async getSupportedPairs() {
+    if (!this.isAvailable()) return []
+
+    const languages = await this.getLanguages()
+    const codes = languages.map(language => language.code)
+    const pairs = []
+
+    for (const source of languages) {
+      for (const target of source.targets || codes) {
+        if (target === source.code) continue
+        pairs.push({ sourceLanguage: source.code, targetLanguage: target, availability: 'available' })
+      }
+    }
+
+    return pairs
+  }
+
+  async translate(text, sourceLanguage, targetLanguage, options = {}) {
+    const { signal } = options
+
+    try {
+      signal?.throwIfAborted()
+
+      const pair = await this.resolvePair(sourceLanguage, targetLanguage)
+      if (!pair) {
+        throw new Error(`language pair not supported: ${sourceLanguage} -> ${targetLanguage}`)
+      }
+
+      const data = await this.request('/translate', {
+        q: text,
+        source: pair.source,
+        target: pair.target,
+        format: 'text'
+      }, signal)
+      return data?.translatedText || text
+    } catch (error) {
+      if (error?.name === 'AbortError' && signal?.aborted) throw error
+      console.error('LibreTranslate 翻译失败:', error)
+      throw new Error(`翻译失败: ${error.message}`)
+    }
+  }
+
+  async detectLanguage(text) {
+    if (!this.isAvailable()) return null
+
+    try {
+      const results = await this.request('/detect', { q: text })
+      const top = Array.isArray(results) ? results[0] : null
+      if (!top || !top.language) return null
+
+      // LibreTranslate 的置信度为 0~100
+      return { language: top.language, confidence: (top.confidence ?? 0) / 100 }
+    } catch (error) {
+      console.warn('LibreTranslate 语言检测出错:', error.message)
+      return null
+    }
+  }
+
+  cleanup() {
+    this.languages = null
+  }
+}
+
+// 创建单例实例
+const libreTranslateProvider = new LibreTranslateProvider()
+
+export default libreTranslateProvider
+export { LibreTranslateProvider }
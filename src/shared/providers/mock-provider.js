@@ -0,0 +1,70 @@
+import { SUPPORTED_LANGUAGES } from '../constants.json'
+import TranslationProvider from './translation-provider.js'
+
+/**
+ * 模拟翻译后端 - 结果固定为 "[目标语言] 原文"，语言检测按文字脚本判断
+ * 不依赖浏览器 AI 能力和网络，用于 Web 开发模式与调试回退链；流式翻译按词逐块返回
+ */
+class MockProvider extends TranslationProvider {
+  constructor() {
+    // 模拟结果不写入缓存，切回真实后端后不会被当作译文返回
+    super({ id: 'mock', name: '模拟翻译（测试用）', cacheable: false })
+  }
+
+  isAvailable() {
+    return true
+  }
+
+  isDetectorAvailable() {
+    return true
+  }
+
+  async availability(sourceLanguage, targetLanguage) {
+    return sourceLanguage && targetLanguage && sourceLanguage !== targetLanguage ? 'available' : 'unavailable'
+  }
+
+  async getSupportedPairs() {
+    const languages = SUPPORTED_LANGUAGES.filter(language => language.code !== 'auto')
+    const pairs = []
+
+    for (const source of languages) {
+      for (const target of languages) {
+        if (source.code === target.code) continue
+        pairs.push({ sourceLanguage: source.code, targetLanguage: target.code, availability: 'available' })
+      }
+    }
+
+    return pairs
+  }
+
+  async translate(text, sourceLanguage, targetLanguage, options = {}) {
+    options.signal?.throwIfAborted()
+    return `[${targetLanguage}] ${text}`
+  }
+
+  async translateStreaming(text, sourceLanguage, targetLanguage, onChunk = null, options = {}) {
+    const result = await this.translate(text, sourceLanguage, targetLanguage, options)
+    let fullResult = ''
+
+    for (const chunk of result.split(/(?<=\s)/)) {
+      options.signal?.throwIfAborted()
+      fullResult += chunk
+      if (onChunk) onChunk(chunk, fullResult)
+    }
+
+    return result
+  }
+
+  async detectLanguage(text) {
+    if (/[\u3040-\u30ff]/.test(text)) return { language: 'ja', confidence: 1 }
+    if (/[\u4e00-\u9fff]/.test(text)) return { language: 'zh', confidence: 1 }
+    if (/[a-z]/i.test(text)) return { language: 'en', confidence: 1 }
+    return null
+  }
+}
+
+// 创建单例实例
+const mockProvider = new MockProvider()
+
+export default mockProvider
+export { MockProvider }
@@ -0,0 +1,103 @@
+/**
+ * 翻译后端基类 - 约定各翻译后端需要实现的接口
+ * 后端只负责单段文本的翻译与语言检测；缓存、长文本分段、自动检测源语言和后端回退由 translationCore 统一处理
+ */
+class TranslationProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - 后端标识，对应 TRANSLATION_PROVIDERS 中的 id，并记录在历史记录中
+   * @param {string} options.name - 显示名称
+   * @param {boolean} options.cacheable - 译文是否写入持久化缓存，模拟结果等不应当作真实译文保存的后端传 false
+   */
+  constructor({ id, name, cacheable = true }) {
+    this.id = id
+    this.name = name
+    this.cacheable = cacheable
+  }
+
+  /**
+   * 应用扩展设置中与该后端相关的配置
+   * @param {Object} settings - 扩展设置
+   */
+  configure(settings) {}
+
+  /**
+   * 当前运行环境中该后端是否可用（API 存在、已配置地址等）
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return false
+  }
+
+  /**
+   * 是否支持语言检测
+   * @returns {boolean}
+   */
+  isDetectorAvailable() {
+    return false
+  }
+
+  /**
+   * 查询语言对状态
+   * @param {string} sourceLanguage - 源语言
+   * @param {string} targetLanguage - 目标语言
+   * @returns {Promise<string>} available | downloadable | downloading | unavailable
+   */
+  async availability(sourceLanguage, targetLanguage) {
+    return 'unavailable'
+  }
+
+  /**
+   * 获取支持的语言对
+   * @returns {Promise<Array<{sourceLanguage: string, targetLanguage: string, availability: string}>>}
+   */
+  async getSupportedPairs() {
+    return []
+  }
+
+  /**
+   * 翻译文本
+   * @param {string} text - 要翻译的文本
+   * @param {string} sourceLanguage - 源语言（不会是 auto）
+   * @param {string} targetLanguage - 目标语言
+   * @param {Object} options - 可选参数
+   * @param {AbortSignal} options.signal - 取消信号
+   * @returns {Promise<string>} 翻译结果
+   */
+  async translate(text, sourceLanguage, targetLanguage, options = {}) {
+    throw new Error(`${this.name} 未实现翻译`)
+  }
+
+  /**
+   * 流式翻译文本，不支持流式的后端整段作为唯一的数据块返回
+   * @param {string} text - 要翻译的文本
+   * @param {string} sourceLanguage - 源语言
+   * @param {string} targetLanguage - 目标语言
+   * @param {Function} onChunk - 增量回调 (chunk, fullResult)
+   * @param {Object} options - 可选参数
+   * @param {AbortSignal} options.signal - 取消信号
+   * @returns {Promise<string>} 完整翻译结果
+   */
+  async translateStreaming(text, sourceLanguage, targetLanguage, onChunk = null, options = {}) {
+    const result = await this.translate(text, sourceLanguage, targetLanguage, options)
+    if (onChunk && result) onChunk(result, result)
+    return result
+  }
+
+  /**
+   * 检测文本语言
+   * @param {string} text - 要检测的文本
+   * @returns {Promise<{language: string, confidence: number}|null>} 不支持或检测失败时返回 null
+   */
+  async detectLanguage(text) {
+    return null
+  }
+
+  /**
+   * 释放后端持有的资源
+   */
+  cleanup() {}
+}
+
+export default TranslationProvider
+export { TranslationProvider }
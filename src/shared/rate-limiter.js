@@ -0,0 +1,64 @@
+/**
+ * 滑动窗口限流器 - 按调用方统计时间窗口内的请求次数
+ * 用于外部接口：每个扩展 ID / 网页源单独计数，超出上限时拒绝并告知多久后可重试
+ */
+class RateLimiter {
+  constructor(options = {}) {
+    this.windowMs = options.windowMs ?? 60000
+    this.callers = new Map() // 调用方标识 -> 窗口内的请求时间戳（升序）
+  }
+
+  /**
+   * 占用一次调用额度
+   * @param {string} key - 调用方标识
+   * @param {number} limit - 时间窗口内允许的最大请求数
+   * @returns {{allowed: boolean, remaining: number, retryAfterMs: number}}
+   */
+  consume(key, limit) {
+    const now = Date.now()
+    const timestamps = this.getRecent(key, now)
+
+    if (timestamps.length >= limit) {
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterMs: Math.max(0, timestamps[0] + this.windowMs - now)
+      }
+    }
+
+    timestamps.push(now)
+    this.callers.set(key, timestamps)
+    return { allowed: true, remaining: limit - timestamps.length, retryAfterMs: 0 }
+  }
+
+  /**
+   * 取出调用方在当前窗口内的请求记录，顺带清理过期记录
+   */
+  getRecent(key, now) {
+    const timestamps = (this.callers.get(key) || []).filter(time => now - time < this.windowMs)
+    if (timestamps.length === 0) {
+      this.callers.delete(key)
+    } else {
+      this.callers.set(key, timestamps)
+    }
+    return timestamps
+  }
+
+  /**
+   * 清除调用方的计数（不传时清除全部）
+   * @param {string} key - 调用方标识
+   */
+  reset(key) {
+    if (key === undefined) {
+      this.callers.clear()
+    } else {
+      this.callers.delete(key)
+    }
+  }
+}
+
+// 创建单例实例
+const rateLimiter = new RateLimiter()
+
+export default rateLimiter
+export { RateLimiter }
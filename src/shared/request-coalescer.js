@@ -0,0 +1,124 @@
+/**
+ * 在途请求合并器 - 相同键的请求在完成前共享同一个 Promise
+ * 用于 Service Worker 合并来自不同标签页/frame 的重复翻译请求（如导航栏、"回复"、"分享"等重复文本）
+ * 每个调用方保留自己的取消信号：只有全部调用方都取消后，才真正取消共享的任务
+ */
+class RequestCoalescer {
+  constructor() {
+    // 键 -> { promise, controller, subscribers }
+    this.inFlight = new Map()
+
+    this.stats = {
+      requests: 0,
+      coalesced: 0
+    }
+  }
+
+  /**
+   * 生成翻译请求的合并键
+   * @param {string} text - 要翻译的文本
+   * @param {string} sourceLanguage - 源语言（可为 auto）
+   * @param {string} targetLanguage - 目标语言
+   * @returns {string}
+   */
+  getKey(text, sourceLanguage, targetLanguage) {
+    return `${sourceLanguage}\u0000${targetLanguage}\u0000${text}`
+  }
+
+  /**
+   * 执行任务，相同键已有在途任务时直接复用
+   * @param {string} key - 合并键
+   * @param {Function} task - 实际执行的任务 (signal) => Promise，signal 在全部调用方取消后触发
+   * @param {Object} options - 可选参数
+   * @param {AbortSignal} options.signal - 当前调用方的取消信号
+   * @param {Function} options.onJoin - 加入已有在途任务时的回调 (sharedSignal)，
+   *   sharedSignal 即传给任务的信号，可用于找到任务（如按当前调用方的优先级提升排队中的任务）
+   * @returns {Promise<*>} 任务结果；当前调用方取消时以 AbortError 结束
+   */
+  run(key, task, options = {}) {
+    this.stats.requests++
+
+    let entry = this.inFlight.get(key)
+    if (entry) {
+      this.stats.coalesced++
+      if (options.onJoin) options.onJoin(entry.controller.signal)
+    } else {
+      const controller = new AbortController()
+      entry = { controller, subscribers: 0, promise: null }
+      // 任务同步开始（同步抛出的错误同样以 rejected Promise 返回），之后加入的调用方能找到已提交的任务
+      entry.promise = (async () => task(controller.signal))()
+        .finally(() => this.release(key, entry))
+      this.inFlight.set(key, entry)
+    }
+
+    return this.subscribe(key, entry, options.signal)
+  }
+
+  /**
+   * 订阅在途任务，调用方取消时只退订，最后一个调用方取消时取消任务
+   */
+  subscribe(key, entry, signal) {
+    entry.subscribers++
+
+    return new Promise((resolve, reject) => {
+      let settled = false
+
+      const unsubscribe = () => {
+        if (settled) return false
+        settled = true
+        signal?.removeEventListener('abort', onAbort)
+        entry.subscribers--
+        return true
+      }
+
+      const onAbort = () => {
+        if (!unsubscribe()) return
+        if (entry.subscribers === 0) {
+          // 已无人等待，取消任务并让后续相同请求重新发起
+          this.release(key, entry)
+          entry.controller.abort(signal.reason)
+        }
+        reject(signal.reason ?? new DOMException('翻译已取消', 'AbortError'))
+      }
+
+      if (signal?.aborted) {
+        onAbort()
+        return
+      }
+      signal?.addEventListener('abort', onAbort, { once: true })
+
+      entry.promise.then(
+        (value) => { if (unsubscribe()) resolve(value) },
+        (error) => { if (unsubscribe()) reject(error) }
+      )
+    })
+  }
+
+  /**
+   * 移除在途登记（仅移除本次任务，避免误删同键的新任务）
+   */
+  release(key, entry) {
+    if (this.inFlight.get(key) === entry) {
+      this.inFlight.delete(key)
+    }
+  }
+
+  /**
+   * 获取合并统计信息
+   * @returns {{inFlight: number, requests: number, coalesced: number, coalescedRate: number}}
+   */
+  getStats() {
+    return {
+      inFlight: this.inFlight.size,
+      requests: this.stats.requests,
+      coalesced: this.stats.coalesced,
+      coalescedRate: this.stats.requests > 0 ? this.stats.coalesced / this.stats.requests : 0
+    }
+  }
+}
+
+// 创建单例实例
+const requestCoalescer = new RequestCoalescer()
+
+export default requestCoalescer
+export { RequestCoalescer }
@@ -0,0 +1,175 @@
+import {
+  DEFAULT_EXTENSION_SETTINGS,
+  DEFAULT_LANGUAGE_PREFERENCES,
+  MASK_PATTERN_TYPES,
+  STORAGE_LIMITS,
+  TRANSLATION_DISPLAY_MODES,
+  TRANSLATION_PROVIDERS
+} from './constants.json'
+
+/**
+ * 存储数据的结构定义与校验
+ * 每个字段声明类型与取值范围，默认值取自 constants.json；
+ * 读取与迁移时把缺失或不合法的值修复为合法值，写入时拒绝不合法的值
+ *
+ * 字段类型：
+ * - boolean
+ * - number：min / max 范围，超出时修复为边界值，integer 为 true 时取整
+ * - string：pattern 为可选的格式正则
+ * - enum：values 为可选值
+ * - array：items 为元素的字段定义，maxItems / minItems 限制长度；修复时去掉不合法与重复的元素
+ */
+
+const LANGUAGE_CODE = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/
+
+export const EXTENSION_SETTINGS_SCHEMA = {
+  theme: { type: 'enum', values: ['auto', 'light', 'dark'] },
+  showOverlay: { type: 'boolean' },
+  overlayPosition: { type: 'enum', values: ['auto', 'below'] },
+  translationDisplayMode: { type: 'enum', values: TRANSLATION_DISPLAY_MODES.map(mode => mode.id) },
+  pageTranslationScope: { type: 'enum', values: ['visible', 'document'] },
+  enableStreaming: { type: 'boolean' },
+  streamingThreshold: { type: 'number', min: 0, max: STORAGE_LIMITS.MAX_TRANSLATION_TEXT_LENGTH, integer: true },
+  historyLimit: { type: 'number', min: 10, max: STORAGE_LIMITS.MAX_HISTORY_ITEMS, integer: true },
+  activeTab: { type: 'enum', values: ['translate', 'history', 'site', 'glossary', 'settings'] },
+  enableCache: { type: 'boolean' },
+  cacheLimit: { type: 'number', min: 100, max: 100000, integer: true },
+  cacheExpireDays: { type: 'number', min: 1, max: 365, integer: true },
+  cacheMaxBytes: { type: 'number', min: 1048576, max: 524288000, integer: true },
+  uiLanguage: { type: 'enum', values: ['auto', 'zh_CN', 'en'] },
+  externalAllowedExtensionIds: { type: 'array', items: { type: 'string', pattern: /^[a-p]{32}$/ } },
+  externalAllowedOrigins: { type: 'array', items: { type: 'string', pattern: /^https?:\/\/[^/\s]+$/ } },
+  externalRateLimit: { type: 'number', min: 1, max: 600, integer: true },
+  providerChain: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'enum', values: TRANSLATION_PROVIDERS.map(provider => provider.id) }
+  },
+  libreTranslateUrl: { type: 'string', pattern: /^(?:$|https?:\/\/\S+$)/ },
+  maskPatterns: { type: 'array', items: { type: 'enum', values: MASK_PATTERN_TYPES.map(type => type.id) } },
+  customMaskPatterns: { type: 'array', items: { type: 'string', pattern: /\S/ } }
+}
+
+export const LANGUAGE_PREFERENCES_SCHEMA = {
+  sourceLanguage: { type: 'string', pattern: /^(?:auto|[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*)$/ },
+  targetLanguage: { type: 'string', pattern: LANGUAGE_CODE },
+  autoDetectSource: { type: 'boolean' },
+  preferredLanguages: {
+    type: 'array',
+    maxItems: STORAGE_LIMITS.MAX_PREFERRED_LANGUAGES,
+    items: { type: 'string', pattern: LANGUAGE_CODE }
+  }
+}
+
+/**
+ * 检查单个值是否符合字段定义
+ * @returns {boolean}
+ */
+function isValidValue(field, value) {
+  switch (field.type) {
+    case 'boolean':
+      return typeof value === 'boolean'
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) &&
+        (field.min === undefined || value >= field.min) &&
+        (field.max === undefined || value <= field.max) &&
+        (!field.integer || Number.isInteger(value))
+    case 'string':
+      return typeof value === 'string' && (!field.pattern || field.pattern.test(value))
+    case 'enum':
+      return field.values.includes(value)
+    case 'array':
+      return Array.isArray(value) &&
+        value.length >= (field.minItems || 0) &&
+        (field.maxItems === undefined || value.length <= field.maxItems) &&
+        value.every(item => isValidValue(field.items, item)) &&
+        new Set(value).size === value.length
+    default:
+      return false
+  }
+}
+
+/**
+ * 尽量修复不合法的值，无法修复时返回默认值
+ */
+function repairValue(field, value, defaultValue) {
+  if (field.type === 'number') {
+    const number = typeof value === 'string' && value.trim() ? Number(value) : value
+    if (typeof number !== 'number' || !Number.isFinite(number)) return defaultValue
+    const clamped = Math.min(field.max ?? Infinity, Math.max(field.min ?? -Infinity, number))
+    return field.integer ? Math.round(clamped) : clamped
+  }
+
+  if (field.type === 'string' && typeof value === 'string') {
+    const trimmed = value.trim()
+    return isValidValue(field, trimmed) ? trimmed : defaultValue
+  }
+
+  if (field.type === 'array' && Array.isArray(value)) {
+    const items = [...new Set(value.filter(item => isValidValue(field.items, item)))]
+      .slice(0, field.maxItems ?? Infinity)
+    return items.length >= (field.minItems || 0) ? items : defaultValue
+  }
+
+  return defaultValue
+}
+
+/**
+ * 按结构定义校验数据
+ * 缺失的字段使用默认值，未定义的字段被丢弃
+ * @param {Object} data - 待校验的数据
+ * @param {Object} schema - 结构定义
+ * @param {Object} defaults - 默认值
+ * @returns {{value: Object, errors: Array<{key: string, value: *}>}} value 为修复后的完整数据，errors 为被修复的字段
+ */
+export function validateData(data, schema, defaults) {
+  const source = data && typeof data === 'object' && !Array.isArray(data) ? data : {}
+  const value = {}
+  const errors = []
+
+  for (const [key, field] of Object.entries(schema)) {
+    const defaultValue = structuredClone(defaults[key])
+    if (source[key] === undefined) {
+      value[key] = defaultValue
+    } else if (isValidValue(field, source[key])) {
+      value[key] = source[key]
+    } else {
+      value[key] = repairValue(field, source[key], defaultValue)
+      errors.push({ key, value: source[key] })
+    }
+  }
+
+  return { value, errors }
+}
+
+/**
+ * 校验扩展设置
+ * @param {Object} settings
+ * @returns {{value: Object, errors: Array<{key: string, value: *}>}}
+ */
+export function validateExtensionSettings(settings) {
+  return validateData(settings, EXTENSION_SETTINGS_SCHEMA, DEFAULT_EXTENSION_SETTINGS)
+}
+
+/**
+ * 校验语言偏好
+ * @param {Object} preferences
+ * @returns {{value: Object, errors: Array<{key: string, value: *}>}}
+ */
+export function validateLanguagePreferences(preferences) {
+  return validateData(preferences, LANGUAGE_PREFERENCES_SCHEMA, DEFAULT_LANGUAGE_PREFERENCES)
+}
+
+/**
+ * 写入前校验：有不合法的字段时抛出错误，不做修复
+ * @param {Object} data - 待写入的数据
+ * @param {Function} validate - validateExtensionSettings 或 validateLanguagePreferences
+ * @returns {Object} 补全默认值后的数据
+ */
+export function assertValid(data, validate) {
+  const { value, errors } = validate(data)
+  if (errors.length > 0) {
+    throw new Error(`设置值不合法: ${errors.map(error => error.key).join(', ')}`)
+  }
+  return value
+}
@@ -0,0 +1,213 @@
+import { STORAGE_KEYS } from './constants.json'
+import { assertValid, validateExtensionSettings, validateLanguagePreferences } from './settings-schema.js'
+
+/**
+ * 检查 chrome.storage 是否可用（Web 开发模式下使用 localStorage）
+ */
+function isChromeStorageAvailable() {
+  return typeof chrome !== 'undefined' && !!chrome.storage
+}
+
+/**
+ * 单个设置项（扩展设置 / 语言偏好）：读取时按结构定义修复，写入前校验，变化时通知订阅者
+ */
+class SettingsSection {
+  constructor(storageKey, validate) {
+    this.storageKey = storageKey
+    this.validate = validate
+    this.value = null // 最近一次读取或收到变化的值（已修复）
+    this.listeners = new Set()
+    this.writing = Promise.resolve() // 写入按调用顺序依次执行，避免并发修改互相覆盖
+  }
+
+  /**
+   * 读取当前值（返回副本，调用方修改不影响已读取的值）
+   * @returns {Promise<Object>}
+   */
+  async get() {
+    if (!this.value) {
+      this.value = await this.load()
+    }
+    return structuredClone(this.value)
+  }
+
+  /**
+   * 从存储读取并修复
+   * @returns {Promise<Object>}
+   */
+  async load() {
+    let stored
+    try {
+      if (isChromeStorageAvailable()) {
+        const result = await chrome.storage.sync.get(this.storageKey)
+        stored = result[this.storageKey]
+      } else {
+        stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null')
+      }
+    } catch (error) {
+      console.error(`读取 ${this.storageKey} 失败，使用默认值:`, error)
+    }
+
+    return this.validate(stored).value
+  }
+
+  /**
+   * 合并写入部分字段，有不合法的值时抛出错误且不写入
+   * @param {Object} changes - 要修改的字段
+   * @returns {Promise<Object>} 写入后的完整值
+   */
+  update(changes) {
+    const write = this.writing.then(() => this.write(changes))
+    this.writing = write.catch(() => {})
+    return write
+  }
+
+  /**
+   * 执行单次写入
+   * @param {Object} changes - 要修改的字段
+   * @returns {Promise<Object>}
+   */
+  async write(changes) {
+    const current = await this.get()
+    const value = assertValid({ ...current, ...changes }, this.validate)
+
+    if (isChromeStorageAvailable()) {
+      // 订阅者由 chrome.storage.onChanged 统一通知（包括其他页面与 Service Worker）；
+      // 先更新当前值，避免通知到达前的连续修改基于旧值合并
+      await chrome.storage.sync.set({ [this.storageKey]: value })
+      this.value = value
+    } else {
+      localStorage.setItem(this.storageKey, JSON.stringify(value))
+      this.handleChange(current, value)
+    }
+    return value
+  }
+
+  /**
+   * 订阅变化
+   * @param {Function} listener - (value, changedKeys, previous) => void
+   * @param {string[]} keys - 只关注的字段，省略时任何字段变化都会通知
+   * @returns {Function} 取消订阅
+   */
+  subscribe(listener, keys = null) {
+    const entry = { listener, keys }
+    this.listeners.add(entry)
+    return () => this.listeners.delete(entry)
+  }
+
+  /**
+   * 存储变化时更新当前值并通知关注了变化字段的订阅者
+   * @param {Object} oldValue - 变化前的存储值
+   * @param {Object} newValue - 变化后的存储值
+   */
+  handleChange(oldValue, newValue) {
+    const previous = this.validate(oldValue).value
+    const value = this.validate(newValue).value
+    this.value = value
+
+    const changedKeys = Object.keys(value).filter(key =>
+      JSON.stringify(value[key]) !== JSON.stringify(previous[key])
+    )
+    if (changedKeys.length === 0) return
+
+    for (const { listener, keys } of this.listeners) {
+      if (keys && !keys.some(key => changedKeys.includes(key))) continue
+      try {
+        listener(structuredClone(value), changedKeys, previous)
+      } catch (error) {
+        console.error(`${this.storageKey} 订阅者处理失败:`, error)
+      }
+    }
+  }
+}
+
+/**
+ * 设置服务 - 扩展设置与语言偏好的唯一读写入口
+ * popup、侧边栏与 Service Worker 共用；content script 不能 import，
+ * 由 Service Worker 订阅变化后通过 UPDATE_EXTENSION_SETTINGS / UPDATE_LANGUAGE_PREFERENCES 消息转发
+ */
+class SettingsService {
+  constructor() {
+    this.settings = new SettingsSection(STORAGE_KEYS.EXTENSION_SETTINGS, validateExtensionSettings)
+    this.languagePreferences = new SettingsSection(STORAGE_KEYS.LANGUAGE_PREFERENCES, validateLanguagePreferences)
+    this.watchStorage()
+  }
+
+  /**
+   * 监听 chrome.storage 变化，分发给对应的设置项
+   */
+  watchStorage() {
+    if (!isChromeStorageAvailable() || !chrome.storage.onChanged) return
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync') return
+
+      for (const section of [this.settings, this.languagePreferences]) {
+        const change = changes[section.storageKey]
+        if (change) {
+          section.handleChange(change.oldValue, change.newValue)
+        }
+      }
+    })
+  }
+
+  /**
+   * 获取扩展设置（补全默认值，不合法的值已修复）
+   * @returns {Promise<Object>}
+   */
+  getSettings() {
+    return this.settings.get()
+  }
+
+  /**
+   * 修改扩展设置
+   * @param {Object} changes - 要修改的字段
+   * @returns {Promise<Object>} 修改后的完整设置
+   */
+  updateSettings(changes) {
+    return this.settings.update(changes)
+  }
+
+  /**
+   * 订阅扩展设置变化
+   * @param {Function} listener - (settings, changedKeys, previous) => void
+   * @param {string[]} keys - 只关注的字段
+   * @returns {Function} 取消订阅
+   */
+  subscribe(listener, keys = null) {
+    return this.settings.subscribe(listener, keys)
+  }
+
+  /**
+   * 获取语言偏好（补全默认值，不合法的值已修复）
+   * @returns {Promise<Object>}
+   */
+  getLanguagePreferences() {
+    return this.languagePreferences.get()
+  }
+
+  /**
+   * 修改语言偏好
+   * @param {Object} changes - 要修改的字段
+   * @returns {Promise<Object>} 修改后的完整语言偏好
+   */
+  updateLanguagePreferences(changes) {
+    return this.languagePreferences.update(changes)
+  }
+
+  /**
+   * 订阅语言偏好变化
+   * @param {Function} listener - (preferences, changedKeys, previous) => void
+   * @param {string[]} keys - 只关注的字段
+   * @returns {Function} 取消订阅
+   */
+  subscribeLanguagePreferences(listener, keys = null) {
+    return this.languagePreferences.subscribe(listener, keys)
+  }
+}
+
+// 创建单例实例
+const settingsService = new SettingsService()
+
+export default settingsService
+export { SettingsService }
@@ -0,0 +1,259 @@
+import { DEFAULT_LANGUAGE_RULES, DEFAULT_SITE_RULE, STORAGE_KEYS } from './constants.json'
+
+/**
+ * 站点翻译规则管理器 - 按域名记住用户对网站的翻译偏好
+ * 规则项：加载后自动翻译、从不显示划词图标、从不翻译、站点专用的源语言/目标语言
+ * 规则以主机名为键（忽略 www.），子域名未单独设置时继承上级域名的规则；
+ * 站点数量不受 sync 单项 8KB 限制，因此存入 chrome.storage.local；
+ * 另外按页面语言记住"总是翻译 / 从不翻译该语言"，列表很短，存入 chrome.storage.sync
+ */
+class SiteRulesManager {
+  /**
+   * 检查存储API可用性
+   */
+  isStorageAvailable() {
+    return typeof chrome !== 'undefined' && !!chrome.storage
+  }
+
+  /**
+   * 从页面地址提取规则使用的主机名，非 http(s) 页面返回空字符串
+   * @param {string} url - 页面地址
+   * @returns {string}
+   */
+  getHostname(url) {
+    try {
+      const { protocol, hostname } = new URL(url)
+      if (protocol !== 'http:' && protocol !== 'https:') return ''
+      return this.normalizeHostname(hostname)
+    } catch {
+      return ''
+    }
+  }
+
+  /**
+   * 归一化主机名：小写并去掉 www. 前缀
+   * @param {string} hostname
+   * @returns {string}
+   */
+  normalizeHostname(hostname) {
+    return String(hostname || '').trim().toLowerCase().replace(/^www\./, '')
+  }
+
+  /**
+   * 获取全部站点规则
+   * @returns {Promise<Object>} 主机名 -> 规则
+   */
+  async getRules() {
+    try {
+      if (!this.isStorageAvailable()) {
+        const stored = localStorage.getItem(STORAGE_KEYS.SITE_RULES)
+        return stored ? JSON.parse(stored) : {}
+      }
+
+      const result = await chrome.storage.local.get(STORAGE_KEYS.SITE_RULES)
+      return result[STORAGE_KEYS.SITE_RULES] || {}
+    } catch (error) {
+      console.error('获取站点规则失败:', error)
+      return {}
+    }
+  }
+
+  /**
+   * 保存全部站点规则
+   * @param {Object} rules - 主机名 -> 规则
+   */
+  async saveRules(rules) {
+    if (!this.isStorageAvailable()) {
+      localStorage.setItem(STORAGE_KEYS.SITE_RULES, JSON.stringify(rules))
+      return
+    }
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.SITE_RULES]: rules })
+  }
+
+  /**
+   * 在规则表中查找主机名对应的规则：先精确匹配，再逐级匹配上级域名
+   * @param {Object} rules - 主机名 -> 规则
+   * @param {string} hostname - 已归一化的主机名
+   * @returns {Object|null} 命中时返回 { hostname, ...规则 }，hostname 为规则所属的域名
+   */
+  findRule(rules, hostname) {
+    const labels = hostname.split('.')
+    for (let i = 0; i < labels.length - 1; i++) {
+      const candidate = labels.slice(i).join('.')
+      if (rules[candidate]) {
+        return { ...DEFAULT_SITE_RULE, ...rules[candidate], hostname: candidate }
+      }
+    }
+
+    // 单标签主机名（如 localhost）只做精确匹配
+    if (labels.length === 1 && rules[hostname]) {
+      return { ...DEFAULT_SITE_RULE, ...rules[hostname], hostname }
+    }
+    return null
+  }
+
+  /**
+   * 获取页面适用的站点规则
+   * @param {string} url - 页面地址
+   * @returns {Promise<Object|null>} 未设置规则时返回 null
+   */
+  async getRuleForUrl(url) {
+    const hostname = this.getHostname(url)
+    if (!hostname) return null
+
+    const rules = await this.getRules()
+    return this.findRule(rules, hostname)
+  }
+
+  /**
+   * 设置站点规则，所有项均为默认值时删除该规则
+   * @param {string} hostname - 主机名
+   * @param {Object} rule - 规则项（autoTranslate, neverShowIcon, neverTranslate, sourceLanguage, targetLanguage）
+   * @returns {Promise<Object|null>} 保存后的规则
+   */
+  async setRule(hostname, rule) {
+    const key = this.normalizeHostname(hostname)
+    if (!key) {
+      throw new Error('无效的站点域名')
+    }
+
+    const normalized = this.normalizeRule(rule)
+    const rules = await this.getRules()
+
+    if (this.isDefaultRule(normalized)) {
+      delete rules[key]
+      await this.saveRules(rules)
+      return null
+    }
+
+    rules[key] = { ...normalized, updatedAt: Date.now() }
+    await this.saveRules(rules)
+    return { ...rules[key], hostname: key }
+  }
+
+  /**
+   * 修改页面所属站点的部分规则项；页面匹配到上级域名的规则时修改该规则
+   * @param {string} url - 页面地址
+   * @param {Object} changes - 要修改的规则项
+   * @returns {Promise<Object|null>} 保存后的规则
+   */
+  async updateRuleForUrl(url, changes) {
+    const hostname = this.getHostname(url)
+    if (!hostname) {
+      throw new Error('当前页面不支持站点规则')
+    }
+
+    const current = await this.getRuleForUrl(url)
+    return this.setRule(current ? current.hostname : hostname, { ...current, ...changes })
+  }
+
+  /**
+   * 删除站点规则
+   * @param {string} hostname - 主机名
+   */
+  async removeRule(hostname) {
+    const key = this.normalizeHostname(hostname)
+    const rules = await this.getRules()
+    if (!(key in rules)) return
+
+    delete rules[key]
+    await this.saveRules(rules)
+  }
+
+  /**
+   * 获取按页面语言设置的规则
+   * @returns {Promise<{alwaysTranslate: string[], neverTranslate: string[]}>}
+   */
+  async getLanguageRules() {
+    try {
+      if (!this.isStorageAvailable()) {
+        const stored = localStorage.getItem(STORAGE_KEYS.LANGUAGE_RULES)
+        return { ...DEFAULT_LANGUAGE_RULES, ...(stored ? JSON.parse(stored) : {}) }
+      }
+
+      const result = await chrome.storage.sync.get(STORAGE_KEYS.LANGUAGE_RULES)
+      return { ...DEFAULT_LANGUAGE_RULES, ...result[STORAGE_KEYS.LANGUAGE_RULES] }
+    } catch (error) {
+      console.error('获取语言规则失败:', error)
+      return { ...DEFAULT_LANGUAGE_RULES }
+    }
+  }
+
+  /**
+   * 设置某个页面语言的规则，同一语言只能属于一个列表
+   * @param {string} language - 页面语言代码（主语言，如 ja）
+   * @param {string|null} mode - 'always' 总是翻译，'never' 从不翻译，null 清除
+   * @returns {Promise<{alwaysTranslate: string[], neverTranslate: string[]}>}
+   */
+  async setLanguageRule(language, mode) {
+    if (!language) {
+      throw new Error('无效的语言代码')
+    }
+
+    const rules = await this.getLanguageRules()
+    const updated = {
+      alwaysTranslate: rules.alwaysTranslate.filter(code => code !== language),
+      neverTranslate: rules.neverTranslate.filter(code => code !== language)
+    }
+
+    if (mode === 'always') {
+      updated.alwaysTranslate.push(language)
+    } else if (mode === 'never') {
+      updated.neverTranslate.push(language)
+    }
+
+    if (!this.isStorageAvailable()) {
+      localStorage.setItem(STORAGE_KEYS.LANGUAGE_RULES, JSON.stringify(updated))
+    } else {
+      await chrome.storage.sync.set({ [STORAGE_KEYS.LANGUAGE_RULES]: updated })
+    }
+    return updated
+  }
+
+  /**
+   * 规范化规则项；"从不翻译"与"自动翻译"互斥，以"从不翻译"为准
+   * @param {Object} rule
+   * @returns {Object}
+   */
+  normalizeRule(rule = {}) {
+    const neverTranslate = !!rule.neverTranslate
+    return {
+      autoTranslate: !neverTranslate && !!rule.autoTranslate,
+      neverShowIcon: !!rule.neverShowIcon,
+      neverTranslate,
+      sourceLanguage: rule.sourceLanguage || '',
+      targetLanguage: rule.targetLanguage || ''
+    }
+  }
+
+  /**
+   * 检查规则是否与默认值相同（即没有任何站点设置）
+   * @param {Object} rule - 已规范化的规则
+   * @returns {boolean}
+   */
+  isDefaultRule(rule) {
+    return Object.keys(DEFAULT_SITE_RULE).every(key => rule[key] === DEFAULT_SITE_RULE[key])
+  }
+
+  /**
+   * 用站点语言对覆盖全局语言偏好，站点未设置的一侧沿用全局偏好
+   * @param {Object} preferences - 全局语言偏好
+   * @param {Object|null} rule - 站点规则
+   * @returns {Object}
+   */
+  applyLanguagePair(preferences, rule) {
+    if (!rule) return preferences
+    return {
+      ...preferences,
+      sourceLanguage: rule.sourceLanguage || preferences.sourceLanguage,
+      targetLanguage: rule.targetLanguage || preferences.targetLanguage
+    }
+  }
+}
+
+// 创建单例实例
+const siteRulesManager = new SiteRulesManager()
+
+export default siteRulesManager
+export { SiteRulesManager }
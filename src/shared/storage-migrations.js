@@ -0,0 +1,81 @@
+import { STORAGE_KEYS } from './constants.json'
+import { validateExtensionSettings, validateLanguagePreferences } from './settings-schema.js'
+
+/**
+ * 存储结构迁移
+ * 结构版本号保存在 chrome.storage.local 的 schemaVersion 中（没有时视为 0，即引入版本号之前的数据），
+ * 扩展安装或更新时按顺序执行版本号更高的迁移步骤，每完成一步立即记录版本号，中途失败时下次从失败的步骤继续
+ *
+ * 新增迁移：在 MIGRATIONS 末尾追加 { version, description, migrate }，version 递增；
+ * migrate 需可重复执行（安装时没有旧数据，同步存储中也可能已有其他设备写入的数据）
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: '移除旧版保存在 chrome.storage.local 中的翻译缓存（已改用 IndexedDB）',
+    async migrate() {
+      // 旧版读写缓存时使用了未定义的存储键，数据实际保存在 "undefined" 下
+      await chrome.storage.local.remove(['undefined', 'translationCache'])
+    }
+  },
+  {
+    version: 2,
+    description: '按设置结构补全并修复扩展设置与语言偏好',
+    async migrate() {
+      const stored = await chrome.storage.sync.get([
+        STORAGE_KEYS.EXTENSION_SETTINGS,
+        STORAGE_KEYS.LANGUAGE_PREFERENCES
+      ])
+
+      const settings = validateExtensionSettings(stored[STORAGE_KEYS.EXTENSION_SETTINGS])
+      const preferences = validateLanguagePreferences(stored[STORAGE_KEYS.LANGUAGE_PREFERENCES])
+      for (const error of [...settings.errors, ...preferences.errors]) {
+        console.warn(`修复不合法的设置值 ${error.key}:`, error.value)
+      }
+
+      await chrome.storage.sync.set({
+        [STORAGE_KEYS.EXTENSION_SETTINGS]: settings.value,
+        [STORAGE_KEYS.LANGUAGE_PREFERENCES]: preferences.value
+      })
+    }
+  }
+]
+
+// 当前结构版本
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
+
+/**
+ * 读取已记录的结构版本
+ * @returns {Promise<number>}
+ */
+export async function getSchemaVersion() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.SCHEMA_VERSION)
+  const version = result[STORAGE_KEYS.SCHEMA_VERSION]
+  return Number.isInteger(version) ? version : 0
+}
+
+/**
+ * 执行尚未执行的迁移步骤
+ * @returns {Promise<{from: number, to: number, applied: number[]}>}
+ */
+export async function runMigrations() {
+  const from = await getSchemaVersion()
+  const applied = []
+
+  if (from > SCHEMA_VERSION) {
+    // 回退到旧版本扩展时保留新结构的数据，不做降级
+    console.warn(`存储结构版本 ${from} 高于当前版本 ${SCHEMA_VERSION}，跳过迁移`)
+    return { from, to: from, applied }
+  }
+
+  for (const step of MIGRATIONS) {
+    if (step.version <= from) continue
+
+    console.log(`执行存储迁移 v${step.version}: ${step.description}`)
+    await step.migrate()
+    await chrome.storage.local.set({ [STORAGE_KEYS.SCHEMA_VERSION]: step.version })
+    applied.push(step.version)
+  }
+
+  return { from, to: SCHEMA_VERSION, applied }
+}
@@ -0,0 +1,93 @@
+import { MESSAGE_TYPES, PORT_NAMES } from './constants.json'
+
+/**
+ * 流式翻译客户端 - 通过长连接 Port 接收 Service Worker 推送的翻译增量
+ * 用于 popup 等扩展页面（content script 不能 import，需内联实现）
+ */
+
+/**
+ * 检查是否可以建立流式翻译连接
+ * @returns {boolean}
+ */
+export function isStreamingPortAvailable() {
+  return typeof chrome !== 'undefined' && !!chrome.runtime && typeof chrome.runtime.connect === 'function'
+}
+
+/**
+ * 发起流式翻译
+ * @param {Object} options
+ * @param {string} options.text - 要翻译的文本
+ * @param {string} options.sourceLanguage - 源语言，'auto'表示自动检测
+ * @param {string} options.targetLanguage - 目标语言
+ * @param {Function} options.onChunk - 增量回调 (chunk, fullResult)
+ * @param {Function} options.onProgress - 长文本分段进度回调 (completed, total)
+ * @returns {{promise: Promise<{result: string, sourceLanguage: string, targetLanguage: string, fromCache: boolean}>, disconnect: Function}}
+ *   disconnect() 断开连接，后台随之取消该翻译，promise 以 AbortError 结束
+ */
+export function translateStreaming({ text, sourceLanguage, targetLanguage, onChunk = null, onProgress = null }) {
+  const requestId = `stream-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+  const port = chrome.runtime.connect({ name: PORT_NAMES.TRANSLATION_STREAM })
+  let settled = false
+  let finish = null
+  let rejectPromise = null
+
+  const promise = new Promise((resolve, reject) => {
+    rejectPromise = reject
+    finish = (callback) => {
+      if (settled) return
+      settled = true
+      try { port.disconnect() } catch {}
+      callback()
+    }
+
+    port.onMessage.addListener((message) => {
+      if (message.requestId !== requestId) return
+
+      switch (message.type) {
+        case MESSAGE_TYPES.STREAMING_CHUNK:
+          if (onChunk) onChunk(message.chunk, message.fullResult)
+          break
+
+        case MESSAGE_TYPES.STREAMING_PROGRESS:
+          if (onProgress) onProgress(message.completed, message.total)
+          break
+
+        case MESSAGE_TYPES.STREAMING_COMPLETE:
+          finish(() => resolve({
+            result: message.fullResult,
+            sourceLanguage: message.sourceLanguage,
+            targetLanguage: message.targetLanguage,
+            fromCache: !!message.fromCache,
+            provider: message.provider,
+            glossaryTerms: message.glossaryTerms
+          }))
+          break
+
+        case MESSAGE_TYPES.STREAMING_ERROR:
+          finish(() => reject(message.cancelled
+            ? new DOMException(message.error || '翻译已取消', 'AbortError')
+            : new Error(message.error || '翻译失败')))
+          break
+      }
+    })
+
+    port.onDisconnect.addListener(() => {
+      finish(() => reject(new Error(chrome.runtime.lastError?.message || '流式翻译连接已断开')))
+    })
+  })
+
+  port.postMessage({
+    type: MESSAGE_TYPES.TRANSLATE_STREAMING,
+    requestId,
+    text,
+    sourceLanguage,
+    targetLanguage
+  })
+
+  return {
+    promise,
+    disconnect: () => {
+      finish(() => rejectPromise(new DOMException('翻译已取消', 'AbortError')))
+    }
+  }
+}
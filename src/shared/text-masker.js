@@ -0,0 +1,217 @@
+import settingsService from './settings.js'
+
+// 占位符：翻译前用 ⟦序号⟧ 替换受保护的片段，翻译模型通常会原样保留
+const TOKEN_PATTERN = /⟦\s*(\d+)\s*⟧/g
+// 流式翻译时数据块末尾可能只收到占位符的前半部分
+const PARTIAL_TOKEN_PATTERN = /⟦[^⟧]*$/
+// 去掉占位符后仍含字母才需要翻译
+const TRANSLATABLE_PATTERN = /\p{L}/u
+// 页面翻译时 content script 用 <n>…</n>、<n/> 表示行内元素（链接、强调、代码等），始终原样保留
+const INLINE_TAG_PATTERN = /<\/?\d+\/?>/g
+
+/**
+ * 内置的不翻译规则，id 与 constants.json 中的 MASK_PATTERN_TYPES 对应
+ */
+const BUILTIN_PATTERNS = {
+  // 代码块与行内代码
+  code: /```[\s\S]*?```|`[^`\n]+`/g,
+  url: /\b(?:https?:\/\/|www\.)[^\s<>"'`]*[^\s<>"'`.,;:!?)\]}，。；：！？）]/gi,
+  email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  // {name}、{{name}}、${name}、%s、%1$s、%(name)s
+  placeholder: /\{\{\s*[\w.$-]+\s*\}\}|\$?\{[\w.$-]+\}|%(?:\d+\$)?(?:\([\w.]+\))?[-+#0]*\d*(?:\.\d+)?[sdifuxXoeEgGc@]/g,
+  // 整数、小数、版本号、日期、时间等
+  number: /(?<![\p{L}\p{N}_.,:/-])\d+(?:[.,:/-]\d+)*(?![\p{L}\p{N}_])/gu
+}
+
+/**
+ * 解析用户自定义的规则：支持 /pattern/flags 写法，其余按正则源码处理
+ * @param {string} pattern
+ * @returns {RegExp|null} 无效的规则返回 null
+ */
+export function parseMaskPattern(pattern) {
+  const source = String(pattern || '').trim()
+  if (!source) return null
+
+  try {
+    const literal = source.match(/^\/(.+)\/([a-z]*)$/)
+    if (literal) {
+      const flags = literal[2].includes('g') ? literal[2] : `${literal[2]}g`
+      return new RegExp(literal[1], flags)
+    }
+    return new RegExp(source, 'g')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * 文本遮蔽器 - 翻译前把不应翻译的片段（行内元素标签、代码、URL、邮箱、占位符、数字、术语等）替换为占位符，
+ * 翻译后还原，并检查每个占位符都保留在译文中
+ * 片段格式：{ start, end, source, target, kind }，target 为还原时填入的文本（不翻译的片段即原文）
+ */
+class TextMasker {
+  constructor() {
+    this.patterns = null
+    this.watchSettings()
+  }
+
+  /**
+   * 读取设置中启用的规则（行内元素标签 + 自定义规则 + 内置规则）
+   * @returns {Promise<Array<{kind: string, regex: RegExp}>>}
+   */
+  async getPatterns() {
+    if (this.patterns) return this.patterns
+
+    const settings = await settingsService.getSettings()
+
+    const builtin = settings.maskPatterns
+      .filter(kind => BUILTIN_PATTERNS[kind])
+      .map(kind => ({ kind, regex: BUILTIN_PATTERNS[kind] }))
+
+    const custom = []
+    for (const pattern of settings.customMaskPatterns) {
+      const regex = parseMaskPattern(pattern)
+      if (regex) {
+        custom.push({ kind: 'custom', regex })
+      } else {
+        console.warn('忽略无效的不翻译规则:', pattern)
+      }
+    }
+
+    this.patterns = [{ kind: 'tag', regex: INLINE_TAG_PATTERN }, ...custom, ...builtin]
+    return this.patterns
+  }
+
+  /**
+   * 设置变化时丢弃已读取的规则
+   */
+  watchSettings() {
+    settingsService.subscribe(() => {
+      this.patterns = null
+    }, ['maskPatterns', 'customMaskPatterns'])
+  }
+
+  /**
+   * 查找文本中不应翻译的片段
+   * @param {string} text
+   * @returns {Promise<Array<Object>>}
+   */
+  async findSpans(text) {
+    const patterns = await this.getPatterns()
+    const spans = []
+
+    for (const { kind, regex } of patterns) {
+      for (const match of text.matchAll(regex)) {
+        if (!match[0]) continue
+        spans.push({ start: match.index, end: match.index + match[0].length, source: match[0], target: match[0], kind })
+      }
+    }
+
+    return spans
+  }
+
+  /**
+   * 用占位符替换片段；片段重叠时优先保留更靠前、更长的，长度相同时保留先传入的
+   * @param {string} text - 原文
+   * @param {Array<Object>} spans - 片段
+   * @returns {{text: string, tokens: Array<{source: string, target: string, kind: string}>}|null} 没有片段时返回 null
+   */
+  mask(text, spans) {
+    if (spans.length === 0) return null
+
+    const sorted = [...spans].sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start))
+
+    const tokens = []
+    let masked = ''
+    let cursor = 0
+    for (const span of sorted) {
+      if (span.start < cursor) continue
+      masked += text.slice(cursor, span.start) + `⟦${tokens.length}⟧`
+      tokens.push({ source: span.source, target: span.target, kind: span.kind })
+      cursor = span.end
+    }
+    masked += text.slice(cursor)
+
+    return { text: masked, tokens }
+  }
+
+  /**
+   * 将译文中的占位符还原
+   * @param {string} translated - 含占位符的译文
+   * @param {Object} masked - mask 的返回值
+   * @param {Object} options - 可选参数
+   * @param {boolean} options.allowMissing - 允许占位符缺失（流式翻译已推送的内容无法重译）
+   * @returns {{text: string, spans: Array<Object>}|null}
+   *   有占位符丢失且不允许缺失时返回 null；spans 为各片段在还原后译文中的位置
+   */
+  unmask(translated, masked, options = {}) {
+    const found = new Set()
+    const spans = []
+    let text = ''
+    let cursor = 0
+
+    for (const match of translated.matchAll(TOKEN_PATTERN)) {
+      const token = masked.tokens[Number(match[1])]
+      if (!token) continue
+
+      text += translated.slice(cursor, match.index)
+      spans.push({ start: text.length, end: text.length + token.target.length, ...token })
+      text += token.target
+      cursor = match.index + match[0].length
+      found.add(Number(match[1]))
+    }
+    text += translated.slice(cursor)
+
+    if (found.size < masked.tokens.length && !options.allowMissing) {
+      return null
+    }
+    return { text, spans }
+  }
+
+  /**
+   * 流式翻译时逐块还原占位符：末尾未收全的占位符暂不推送
+   * @param {Object} masked - mask 的返回值
+   * @param {Function} onChunk - 还原后的增量回调 (chunk, fullResult)
+   * @returns {Function} 接收原始增量的回调 (chunk, fullResult)
+   */
+  createStreamUnmasker(masked, onChunk) {
+    let emitted = ''
+
+    return (chunk, fullResult) => {
+      const complete = fullResult.replace(PARTIAL_TOKEN_PATTERN, '')
+      const { text } = this.unmask(complete, masked, { allowMissing: true })
+      if (text.length <= emitted.length || !text.startsWith(emitted)) return
+
+      const delta = text.slice(emitted.length)
+      emitted = text
+      if (onChunk) onChunk(delta, text)
+    }
+  }
+
+  /**
+   * 按占位符拆分遮蔽后的文本，占位符丢失时只翻译占位符之间的文本
+   * @param {string} maskedText
+   * @returns {Array<{text: string, isToken: boolean}>}
+   */
+  split(maskedText) {
+    return maskedText
+      .split(/(⟦\d+⟧)/)
+      .filter(Boolean)
+      .map(text => ({ text, isToken: /^⟦\d+⟧$/.test(text) }))
+  }
+
+  /**
+   * 去掉占位符后是否还有需要翻译的文本
+   * @param {string} maskedText
+   * @returns {boolean}
+   */
+  hasTranslatableText(maskedText) {
+    return TRANSLATABLE_PATTERN.test(maskedText.replace(TOKEN_PATTERN, ''))
+  }
+}
+
+// 创建单例实例
+const textMasker = new TextMasker()
+
+export default textMasker
+export { TextMasker }
@@ -0,0 +1,157 @@
+import { STORAGE_LIMITS } from './constants.json'
+
+/**
+ * 长文本分段器 - 在段落与句子边界切分长文本，翻译后按原始换行拼回
+ * 段落（换行）之间的空白原样保留；段落内部使用 Intl.Segmenter 按句子打包，
+ * 单句仍超出上限时在空白处硬切
+ */
+
+/**
+ * 切分文本
+ * @param {string} text - 原始文本
+ * @param {Object} options - 可选参数
+ * @param {number} options.maxLength - 单个片段的最大字符数，默认 STORAGE_LIMITS.MAX_TRANSLATION_TEXT_LENGTH
+ * @param {string} options.locale - 句子切分使用的语言，默认由 Intl.Segmenter 自行判断
+ * @returns {Array<{text: string, translatable: boolean}>} 按原顺序排列的片段；translatable 为 false 的是需原样保留的空白
+ */
+export function segmentText(text, options = {}) {
+  const maxLength = options.maxLength ?? STORAGE_LIMITS.MAX_TRANSLATION_TEXT_LENGTH
+  const pieces = []
+
+  if (!text) return pieces
+
+  // 以换行（含其两侧空白）为段落分隔，分隔符保留在结果中
+  const parts = text.split(/([^\S\n]*\n\s*)/)
+
+  for (const part of parts) {
+    if (!part) continue
+
+    if (!part.trim()) {
+      pushGap(pieces, part)
+      continue
+    }
+
+    const leading = part.match(/^\s*/)[0]
+    const trailing = part.match(/\s*$/)[0]
+    const paragraph = part.slice(leading.length, part.length - trailing.length)
+
+    pushGap(pieces, leading)
+    for (const chunk of chunkParagraph(paragraph, maxLength, options.locale)) {
+      pieces.push({ text: chunk.text, translatable: true })
+      pushGap(pieces, chunk.gap)
+    }
+    pushGap(pieces, trailing)
+  }
+
+  return pieces
+}
+
+/**
+ * 将译文按顺序填回片段并拼接
+ * @param {Array<{text: string, translatable: boolean}>} pieces - segmentText 的返回值
+ * @param {Array<string>} translations - 与可翻译片段一一对应的译文
+ * @returns {string} 拼接后的完整译文
+ */
+export function joinSegments(pieces, translations) {
+  let index = 0
+  return pieces
+    .map((piece) => {
+      if (!piece.translatable) return piece.text
+      const translated = translations[index++]
+      return translated ?? piece.text
+    })
+    .join('')
+}
+
+/**
+ * 检查文本是否需要分段翻译
+ * @param {string} text - 原始文本
+ * @param {number} maxLength - 单个片段的最大字符数
+ * @returns {boolean}
+ */
+export function needsSegmentation(text, maxLength = STORAGE_LIMITS.MAX_TRANSLATION_TEXT_LENGTH) {
+  return !!text && text.length > maxLength
+}
+
+/**
+ * 追加空白片段，相邻空白合并
+ */
+function pushGap(pieces, gap) {
+  if (!gap) return
+  const last = pieces[pieces.length - 1]
+  if (last && !last.translatable) {
+    last.text += gap
+  } else {
+    pieces.push({ text: gap, translatable: false })
+  }
+}
+
+/**
+ * 将单个段落按句子打包为不超过上限的片段
+ * @returns {Array<{text: string, gap: string}>} gap 为片段之后需保留的空白
+ */
+function chunkParagraph(paragraph, maxLength, locale) {
+  if (paragraph.length <= maxLength) {
+    return [{ text: paragraph, gap: '' }]
+  }
+
+  const chunks = []
+  let current = ''
+
+  const flush = () => {
+    if (!current) return
+    const text = current.trimEnd()
+    chunks.push({ text, gap: current.slice(text.length) })
+    current = ''
+  }
+
+  for (const sentence of splitSentences(paragraph, locale)) {
+    if (sentence.length > maxLength) {
+      flush()
+      for (const piece of hardSplit(sentence, maxLength)) {
+        current = piece
+        flush()
+      }
+      continue
+    }
+
+    if (current.length + sentence.length > maxLength) {
+      flush()
+    }
+    current += sentence
+  }
+  flush()
+
+  return chunks
+}
+
+/**
+ * 按句子边界切分，Intl.Segmenter 不可用时退回标点正则
+ */
+function splitSentences(paragraph, locale) {
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    const segmenter = new Intl.Segmenter(locale, { granularity: 'sentence' })
+    return Array.from(segmenter.segment(paragraph), (item) => item.segment)
+  }
+
+  return paragraph.match(/[^.!?。！？]+[.!?。！？]*\s*/g) || [paragraph]
+}
+
+/**
+ * 超长句子在上限内最后一个空白处切开，找不到空白时按字符切
+ */
+function hardSplit(sentence, maxLength) {
+  const pieces = []
+  let rest = sentence
+
+  while (rest.length > maxLength) {
+    const window = rest.slice(0, maxLength)
+    const lastSpace = window.search(/\s\S*$/)
+    const cut = lastSpace > 0 ? lastSpace + 1 : maxLength
+    pieces.push(rest.slice(0, cut))
+    rest = rest.slice(cut)
+  }
+
+  if (rest) pieces.push(rest)
+  return pieces
+}
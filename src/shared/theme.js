@@ -0,0 +1,16 @@
+import settingsService from './settings.js'
+
+/**
+ * 按设置的主题切换扩展页面（popup、侧边栏）的配色
+ * 在根元素上设置 data-theme（auto / light / dark），auto 时由样式中的 prefers-color-scheme 决定；
+ * 设置变化时立即切换，无需重新打开页面
+ * @returns {Promise<Function>} 取消监听
+ */
+export async function watchTheme() {
+  const apply = ({ theme }) => {
+    document.documentElement.dataset.theme = theme
+  }
+
+  apply(await settingsService.getSettings())
+  return settingsService.subscribe(apply, ['theme'])
+}
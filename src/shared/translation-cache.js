@@ -0,0 +1,320 @@
+import settingsService from './settings.js'
+
+/**
+ * 翻译结果持久化缓存 - 基于 IndexedDB
+ * popup、Service Worker 同属扩展源，共用同一个数据库；content script 经由 Service Worker 访问
+ * 键为 SHA-256(源语言, 目标语言, 原文)，不含翻译后端：模拟后端的结果不写入，后端链或服务地址变化时由 Service Worker 清空；
+ * 淘汰策略为 TTL 过期 + LRU（条目数与字节预算）
+ */
+class TranslationCache {
+  constructor() {
+    this.DB_NAME = 'chrome-ai-translator'
+    this.DB_VERSION = 1
+    this.STORE_NAME = 'translations'
+
+    this.dbPromise = null
+    this.config = null
+    this.evictionTimer = null
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      writes: 0,
+      evictions: 0
+    }
+
+    this.watchSettings()
+  }
+
+  /**
+   * 检查 IndexedDB 与 WebCrypto 是否可用
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && !!crypto.subtle
+  }
+
+  /**
+   * 打开（或升级）数据库
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDB() {
+    if (this.dbPromise) return this.dbPromise
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+          const store = db.createObjectStore(this.STORE_NAME, { keyPath: 'key' })
+          store.createIndex('lastAccess', 'lastAccess')
+          store.createIndex('createdAt', 'createdAt')
+        }
+      }
+
+      request.onsuccess = () => {
+        const db = request.result
+        // 其他上下文升级数据库时主动关闭，下次访问重新打开
+        db.onversionchange = () => {
+          db.close()
+          this.dbPromise = null
+        }
+        resolve(db)
+      }
+
+      request.onerror = () => {
+        this.dbPromise = null
+        reject(request.error)
+      }
+    })
+
+    return this.dbPromise
+  }
+
+  /**
+   * 读取缓存配置（来自扩展设置）
+   * @returns {Promise<{enabled: boolean, maxEntries: number, maxBytes: number, ttlMs: number}>}
+   */
+  async getConfig() {
+    if (this.config) return this.config
+
+    const settings = await settingsService.getSettings()
+    this.config = {
+      enabled: settings.enableCache !== false,
+      maxEntries: settings.cacheLimit,
+      maxBytes: settings.cacheMaxBytes,
+      ttlMs: settings.cacheExpireDays * 24 * 60 * 60 * 1000
+    }
+    return this.config
+  }
+
+  /**
+   * 缓存设置变化时丢弃已读取的配置
+   */
+  watchSettings() {
+    settingsService.subscribe(() => {
+      this.config = null
+    }, ['enableCache', 'cacheLimit', 'cacheExpireDays', 'cacheMaxBytes'])
+  }
+
+  /**
+   * 生成缓存键
+   * @returns {Promise<string>} SHA-256 十六进制摘要
+   */
+  async generateKey(text, sourceLanguage, targetLanguage) {
+    const data = new TextEncoder().encode(`${sourceLanguage}\u0000${targetLanguage}\u0000${text}`)
+    const digest = await crypto.subtle.digest('SHA-256', data)
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+  }
+
+  /**
+   * 查询缓存
+   * @param {string} text - 原文
+   * @param {string} sourceLanguage - 源语言（实际语言，不应为 auto）
+   * @param {string} targetLanguage - 目标语言
+   * @returns {Promise<string|null>} 命中时返回译文
+   */
+  async get(text, sourceLanguage, targetLanguage) {
+    try {
+      if (!this.isAvailable()) return null
+
+      const config = await this.getConfig()
+      if (!config.enabled) return null
+
+      const key = await this.generateKey(text, sourceLanguage, targetLanguage)
+      const db = await this.openDB()
+      const record = await this.request(db, 'readonly', store => store.get(key))
+
+      if (!record || record.text !== text) {
+        this.stats.misses++
+        return null
+      }
+
+      if (Date.now() - record.createdAt > config.ttlMs) {
+        this.stats.misses++
+        await this.request(db, 'readwrite', store => store.delete(key))
+        this.stats.evictions++
+        return null
+      }
+
+      this.stats.hits++
+      record.lastAccess = Date.now()
+      this.request(db, 'readwrite', store => store.put(record)).catch(() => {})
+      return record.result
+    } catch (error) {
+      console.error('读取翻译缓存失败:', error)
+      return null
+    }
+  }
+
+  /**
+   * 写入缓存
+   * @param {string} text - 原文
+   * @param {string} sourceLanguage - 源语言（实际语言，不应为 auto）
+   * @param {string} targetLanguage - 目标语言
+   * @param {string} result - 译文
+   */
+  async set(text, sourceLanguage, targetLanguage, result) {
+    try {
+      if (!this.isAvailable() || !result) return
+
+      const config = await this.getConfig()
+      if (!config.enabled) return
+
+      const size = new TextEncoder().encode(text + result).length
+      if (size > config.maxBytes) return
+
+      const now = Date.now()
+      const record = {
+        key: await this.generateKey(text, sourceLanguage, targetLanguage),
+        text,
+        sourceLanguage,
+        targetLanguage,
+        result,
+        size,
+        createdAt: now,
+        lastAccess: now
+      }
+
+      const db = await this.openDB()
+      await this.request(db, 'readwrite', store => store.put(record))
+      this.stats.writes++
+      this.scheduleEviction()
+    } catch (error) {
+      console.error('写入翻译缓存失败:', error)
+    }
+  }
+
+  /**
+   * 合并短时间内的多次写入，统一执行一次淘汰
+   */
+  scheduleEviction() {
+    if (this.evictionTimer) return
+    this.evictionTimer = setTimeout(() => {
+      this.evictionTimer = null
+      this.evict().catch(error => console.error('翻译缓存淘汰失败:', error))
+    }, 1000)
+  }
+
+  /**
+   * 淘汰过期条目，并按最近访问时间淘汰超出条目数或字节预算的条目
+   * @returns {Promise<number>} 淘汰的条目数
+   */
+  async evict() {
+    if (!this.isAvailable()) return 0
+
+    const config = await this.getConfig()
+    const db = await this.openDB()
+    const expireBefore = Date.now() - config.ttlMs
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE_NAME, 'readwrite')
+      const store = transaction.objectStore(this.STORE_NAME)
+      let evicted = 0
+
+      // 第一步：删除过期条目
+      const expiredRange = IDBKeyRange.upperBound(expireBefore)
+      store.index('createdAt').openCursor(expiredRange).onsuccess = (event) => {
+        const cursor = event.target.result
+        if (cursor) {
+          cursor.delete()
+          evicted++
+          cursor.continue()
+          return
+        }
+
+        // 第二步：统计剩余条目，从最久未访问的开始淘汰
+        const records = []
+        store.index('lastAccess').openCursor().onsuccess = (lruEvent) => {
+          const lruCursor = lruEvent.target.result
+          if (lruCursor) {
+            records.push({ key: lruCursor.value.key, size: lruCursor.value.size || 0 })
+            lruCursor.continue()
+            return
+          }
+
+          let count = records.length
+          let bytes = records.reduce((sum, record) => sum + record.size, 0)
+
+          for (const record of records) {
+            if (count <= config.maxEntries && bytes <= config.maxBytes) break
+            store.delete(record.key)
+            count--
+            bytes -= record.size
+            evicted++
+          }
+        }
+      }
+
+      transaction.oncomplete = () => {
+        this.stats.evictions += evicted
+        if (evicted > 0) {
+          console.log(`翻译缓存已淘汰 ${evicted} 条`)
+        }
+        resolve(evicted)
+      }
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * 清空缓存
+   */
+  async clear() {
+    try {
+      if (!this.isAvailable()) return
+      const db = await this.openDB()
+      await this.request(db, 'readwrite', store => store.clear())
+      console.log('翻译缓存已清空')
+    } catch (error) {
+      console.error('清空翻译缓存失败:', error)
+    }
+  }
+
+  /**
+   * 获取缓存统计信息
+   * @returns {Promise<{count: number, sizeInBytes: number, hits: number, misses: number, writes: number, evictions: number, hitRate: number}>}
+   */
+  async getStats() {
+    const total = this.stats.hits + this.stats.misses
+    const stats = {
+      count: 0,
+      sizeInBytes: 0,
+      ...this.stats,
+      hitRate: total > 0 ? this.stats.hits / total : 0
+    }
+
+    try {
+      if (!this.isAvailable()) return stats
+
+      const db = await this.openDB()
+      const records = await this.request(db, 'readonly', store => store.getAll())
+      stats.count = records.length
+      stats.sizeInBytes = records.reduce((sum, record) => sum + (record.size || 0), 0)
+    } catch (error) {
+      console.error('获取翻译缓存统计失败:', error)
+    }
+
+    return stats
+  }
+
+  /**
+   * 在单个事务中执行请求
+   * @returns {Promise<*>} 请求结果
+   */
+  request(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE_NAME, mode)
+      const request = operation(transaction.objectStore(this.STORE_NAME))
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+}
+
+// 创建单例实例
+const translationCache = new TranslationCache()
+
+export default translationCache
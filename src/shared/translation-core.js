@@ -1,13 +1,141 @@
-import { SUPPORTED_LANGUAGES } from './constants.json'
+import { STORAGE_LIMITS, SUPPORTED_LANGUAGES } from './constants.json'
+import glossaryManager from './glossary.js'
+import { chromeProvider, getAllProviders, getProvider } from './providers/index.js'
+import settingsService from './settings.js'
+import textMasker from './text-masker.js'
+import { joinSegments, needsSegmentation, segmentText } from './text-segmenter.js'
+import translationCache from './translation-cache.js'
 
 /**
  * 翻译核心类 - 统一处理语言检测和翻译功能
  * 用于右键菜单、扩展面板、划词翻译等场景
+ * 实际翻译交给翻译后端（src/shared/providers/），按设置中的 providerChain 依次尝试：
+ * 语言对在前一个后端不可用（如 Chrome 模型 unavailable）或翻译出错时回退到下一个
  */
 class TranslationCore {
   constructor() {
-    this.translator = null
-    this.detector = null
+    this.cache = translationCache
+    this.glossary = glossaryManager
+    this.masker = textMasker
+    this.chainPromise = null
+    this.credentials = null // 后端凭据来源，只在 Service Worker 中设置
+    // 最近一次读取的后端链，供同步的可用性检查使用；读取完成前按默认链（仅 Chrome）判断
+    this.providerChain = [chromeProvider]
+    this.watchSettings()
+    this.getProviderChain()
+  }
+
+  /**
+   * 获取设置中的翻译后端链，并将设置应用到各后端
+   * @returns {Promise<TranslationProvider[]>}
+   */
+  async getProviderChain() {
+    if (!this.chainPromise) {
+      this.chainPromise = this.loadProviderChain()
+    }
+    return this.chainPromise
+  }
+
+  /**
+   * 读取扩展设置中的后端链，未知的后端 id 会被忽略
+   */
+  async loadProviderChain() {
+    const [settings, credentials] = await Promise.all([
+      settingsService.getSettings(),
+      this.credentials ? this.credentials.get() : {}
+    ])
+
+    for (const provider of getAllProviders()) {
+      provider.configure({ ...settings, ...credentials })
+    }
+
+    const chain = settings.providerChain.map(id => getProvider(id)).filter(Boolean)
+    this.providerChain = chain.length > 0 ? chain : [chromeProvider]
+    return this.providerChain
+  }
+
+  /**
+   * 设置变化时重新读取后端链
+   */
+  watchSettings() {
+    settingsService.subscribe(() => this.reloadProviderChain(), ['providerChain', 'libreTranslateUrl'])
+  }
+
+  /**
+   * 使用后端凭据（provider-credentials.js），凭据变化时重新配置后端
+   * 只由 Service Worker 调用：其他页面的后端不带凭据，需要凭据的请求应交给 Service Worker
+   * @param {ProviderCredentials} credentials
+   */
+  useCredentials(credentials) {
+    this.credentials = credentials
+    credentials.subscribe(() => this.reloadProviderChain())
+    this.reloadProviderChain()
+  }
+
+  /**
+   * 丢弃已读取的后端链并重新读取
+   */
+  reloadProviderChain() {
+    this.chainPromise = null
+    this.getProviderChain()
+  }
+
+  /**
+   * 按后端链顺序列出支持该语言对的后端
+   * @returns {Promise<TranslationProvider[]>}
+   */
+  async getProvidersForPair(sourceLanguage, targetLanguage) {
+    const chain = await this.getProviderChain()
+    const candidates = []
+
+    for (const provider of chain) {
+      if (!provider.isAvailable()) continue
+      const availability = await provider.availability(sourceLanguage, targetLanguage)
+      if (availability !== 'unavailable') {
+        candidates.push(provider)
+      } else {
+        console.log(`翻译后端 ${provider.id} 不支持 ${sourceLanguage} -> ${targetLanguage}，尝试下一个`)
+      }
+    }
+
+    return candidates
+  }
+
+  /**
+   * 依次使用支持该语言对的后端执行翻译，出错时回退到下一个后端
+   * @param {string} sourceLanguage - 源语言
+   * @param {string} targetLanguage - 目标语言
+   * @param {Function} run - (provider) => Promise<string>
+   * @param {Function} canFallback - 出错后是否允许回退（流式翻译已推送增量时不能回退）
+   * @returns {Promise<{result: string, provider: string}>}
+   */
+  async runWithProviders(sourceLanguage, targetLanguage, run, canFallback = () => true) {
+    const providers = await this.getProvidersForPair(sourceLanguage, targetLanguage)
+    if (providers.length === 0) {
+      throw new Error(`没有可用的翻译后端: ${sourceLanguage} -> ${targetLanguage}`)
+    }
+
+    let lastError = null
+    for (const provider of providers) {
+      try {
+        return { result: await run(provider), provider: provider.id }
+      } catch (error) {
+        if (this.isAbortError(error) || !canFallback()) throw error
+        lastError = error
+        console.warn(`翻译后端 ${provider.id} 翻译失败:`, error.message)
+      }
+    }
+
+    throw lastError
+  }
+
+  /**
+   * 该后端的译文是否写入持久化缓存
+   * @param {string} providerId - 实际使用的后端
+   * @returns {boolean}
+   */
+  isCacheable(providerId) {
+    return getProvider(providerId)?.cacheable !== false
   }
 
   /**
@@ -15,9 +143,14 @@ class TranslationCore {
    * @param {string} text - 要翻译的文本
    * @param {string} sourceLanguage - 源语言，'auto'表示自动检测
    * @param {string} targetLanguage - 目标语言
-   * @returns {Promise<{result: string, sourceLanguage: string, targetLanguage: string}>}
+   * @param {Object} options - 可选参数
+   * @param {AbortSignal} options.signal - 取消信号，透传给 Translator API
+   * @param {Function} options.onProgress - 长文本分段翻译的进度回调 (completed, total)
+   * @returns {Promise<{result: string, sourceLanguage: string, targetLanguage: string, fromCache: boolean, provider: string}>}
+   *   provider 为实际使用的翻译后端，缓存命中或同语种回显时没有该字段；
+   *   文本中有术语或不翻译的片段时附带 glossaryTerms: [{start, end, source, target}]，为术语指定译法在译文中的位置
    */
-  async smartTranslate(text, sourceLanguage, targetLanguage) {
+  async smartTranslate(text, sourceLanguage, targetLanguage, options = {}) {
     if (!text || !text.trim()) {
       throw new Error('翻译文本不能为空')
     }
@@ -26,7 +159,7 @@ class TranslationCore {
 
     // 如果源语言是auto，先检测语言
     if (sourceLanguage === 'auto') {
-      actualSourceLanguage = await this.detectLanguage(text)
+      actualSourceLanguage = await this.detectLanguage(this.getDetectionSample(text))
     }
 
     // 检查源语言与目标语言是否相同
@@ -38,47 +171,257 @@ class TranslationCore {
       }
     }
 
-    // 执行翻译
-    const translatedText = await this.translate(text, actualSourceLanguage, targetLanguage)
+    // 术语与不翻译的片段替换为占位符后再翻译，译文中还原
+    const masked = await this.maskText(text, actualSourceLanguage, targetLanguage)
+    const translated = masked
+      ? await this.translateMasked(text, masked, actualSourceLanguage, targetLanguage, options)
+      : await this.translateCached(text, actualSourceLanguage, targetLanguage, options)
 
     return {
-      result: translatedText,
+      ...translated,
       sourceLanguage: actualSourceLanguage,
       targetLanguage: targetLanguage
     }
   }
 
   /**
-   * 检测文本语言
-   * @param {string} text - 要检测的文本
-   * @returns {Promise<string>} 检测到的语言代码
+   * 翻译单段文本（源语言已确定），优先使用持久化缓存
+   * @param {Object} options - 可选参数，另支持 options.validate：(result) => boolean，未通过校验的译文不读取也不写入缓存
+   * @returns {Promise<{result: string, fromCache: boolean, provider: string}>}
    */
-  async detectLanguage(text) {
+  async translateCached(text, sourceLanguage, targetLanguage, options = {}) {
+    const { validate, ...translateOptions } = options
+    const isValid = (result) => !validate || validate(result)
+
+    const cached = await this.cache.get(text, sourceLanguage, targetLanguage)
+    if (cached !== null && isValid(cached)) {
+      return { result: cached, fromCache: true }
+    }
+
+    // 执行翻译，超出单片段上限的长文本按段落/句子分段翻译
+    const { result, provider } = await this.runWithProviders(
+      sourceLanguage,
+      targetLanguage,
+      (backend) => needsSegmentation(text)
+        ? this.translateSegmented(text, sourceLanguage, targetLanguage, { ...translateOptions, provider: backend })
+        : this.translate(text, sourceLanguage, targetLanguage, { ...translateOptions, provider: backend })
+    )
+
+    if (isValid(result) && this.isCacheable(provider)) {
+      this.cache.set(text, sourceLanguage, targetLanguage, result)
+    }
+    return { result, fromCache: false, provider }
+  }
+
+  /**
+   * 查找术语与不翻译的片段并替换为占位符；术语优先于不翻译规则
+   * @returns {Promise<{text: string, tokens: Array<Object>}|null>} 没有需要保护的片段时返回 null
+   */
+  async maskText(text, sourceLanguage, targetLanguage) {
+    const spans = [
+      ...await this.glossary.findTerms(text, sourceLanguage, targetLanguage),
+      ...await this.masker.findSpans(text)
+    ]
+    return this.masker.mask(text, spans)
+  }
+
+  /**
+   * 翻译遮蔽后的文本并还原占位符；缓存保存含占位符的译文，修改术语译法后无需重新翻译即可生效
+   * 占位符丢失时不写入缓存，改为只翻译占位符之间的文本重试，重试仍失败则返回原文
+   * @param {string} text - 原文
+   * @param {Object} masked - textMasker.mask 的返回值
+   * @param {string} sourceLanguage - 源语言（已确定）
+   * @param {string} targetLanguage - 目标语言
+   * @param {Object} options - 可选参数，同 smartTranslate
+   * @param {Function} onChunk - 传入时流式翻译，增量回调 (chunk, fullResult)；重试得到的译文只在返回值中体现
+   * @returns {Promise<{result: string, fromCache: boolean, provider: string, glossaryTerms: Array<Object>}>}
+   */
+  async translateMasked(text, masked, sourceLanguage, targetLanguage, options = {}, onChunk = null) {
+    const finish = (translated, restored) => ({
+      ...translated,
+      result: restored.text,
+      glossaryTerms: restored.spans
+        .filter(span => span.kind === 'glossary')
+        .map(({ start, end, source, target }) => ({ start, end, source, target }))
+    })
+
+    // 只剩占位符（如整段都是链接或术语）时无需翻译
+    if (!this.masker.hasTranslatableText(masked.text)) {
+      const restored = this.masker.unmask(masked.text, masked)
+      if (onChunk) onChunk(restored.text, restored.text)
+      return finish({ fromCache: false }, restored)
+    }
+
+    const validate = (result) => this.masker.unmask(result, masked) !== null
+    const translated = onChunk
+      ? await this.translateCachedStreaming(
+        masked.text,
+        sourceLanguage,
+        targetLanguage,
+        this.masker.createStreamUnmasker(masked, onChunk),
+        { ...options, validate }
+      )
+      : await this.translateCached(masked.text, sourceLanguage, targetLanguage, { ...options, validate })
+
+    const restored = this.masker.unmask(translated.result, masked)
+    if (restored) return finish(translated, restored)
+
+    console.warn('译文中的占位符丢失，改为只翻译占位符之间的文本')
     try {
-      if (!('LanguageDetector' in self)) {
-        console.warn('LanguageDetector API 不可用，使用默认语言 en')
-        return 'en'
+      const retried = await this.translateBetweenTokens(masked.text, sourceLanguage, targetLanguage, options)
+      if (this.isCacheable(retried.provider)) {
+        this.cache.set(masked.text, sourceLanguage, targetLanguage, retried.result)
       }
+      return finish({ ...retried, fromCache: false }, this.masker.unmask(retried.result, masked))
+    } catch (error) {
+      if (this.isAbortError(error)) throw error
+      console.warn('重试翻译失败，返回原文:', error.message)
+      return { result: text, fromCache: false, glossaryTerms: [] }
+    }
+  }
 
-      if (!this.detector) {
-        this.detector = await LanguageDetector.create()
-      }
+  /**
+   * 逐段翻译占位符之间的文本，占位符原样保留，保证译文中不会丢失
+   * @returns {Promise<{result: string, provider: string}>}
+   */
+  async translateBetweenTokens(maskedText, sourceLanguage, targetLanguage, options = {}) {
+    const parts = this.masker.split(maskedText)
 
-      const results = await this.detector.detect(text)
-      if (results && results.length > 0) {
-        const detectedLanguage = results[0].detectedLanguage
-        if (detectedLanguage) {
-          console.log(`检测到语言: ${detectedLanguage}`)
-          return detectedLanguage
+    return this.runWithProviders(sourceLanguage, targetLanguage, async (backend) => {
+      const translated = []
+      for (const part of parts) {
+        if (part.isToken || !this.masker.hasTranslatableText(part.text)) {
+          translated.push(part.text)
+          continue
         }
+
+        // 保留首尾空白，避免译文与占位符粘连
+        const leading = part.text.match(/^\s*/)[0]
+        const trailing = part.text.match(/\s*$/)[0]
+        const content = part.text.trim()
+        const result = needsSegmentation(content)
+          ? await this.translateSegmented(content, sourceLanguage, targetLanguage, { ...options, provider: backend })
+          : await this.translate(content, sourceLanguage, targetLanguage, { ...options, provider: backend })
+        translated.push(leading + result + trailing)
       }
+      return translated.join('')
+    })
+  }
 
-      console.warn('语言检测失败，使用默认语言 en')
-      return 'en'
-    } catch (error) {
-      console.warn('语言检测出错，使用默认语言 en:', error.message)
-      return 'en'
+  /**
+   * 智能流式翻译 - 自动检测语言并通过 translateStreaming 逐块返回增量
+   * @param {string} text - 要翻译的文本
+   * @param {string} sourceLanguage - 源语言，'auto'表示自动检测
+   * @param {string} targetLanguage - 目标语言
+   * @param {Function} onChunk - 增量回调 (chunk, fullResult)
+   * @param {Object} options - 可选参数
+   * @param {AbortSignal} options.signal - 取消信号，透传给 Translator API
+   * @param {Function} options.onProgress - 长文本分段翻译的进度回调 (completed, total)
+   * @returns {Promise<{result: string, sourceLanguage: string, targetLanguage: string, fromCache: boolean, provider: string}>}
+   */
+  async smartTranslateStreaming(text, sourceLanguage, targetLanguage, onChunk = null, options = {}) {
+    if (!text || !text.trim()) {
+      throw new Error('翻译文本不能为空')
     }
+
+    let actualSourceLanguage = sourceLanguage
+
+    if (sourceLanguage === 'auto') {
+      actualSourceLanguage = await this.detectLanguage(this.getDetectionSample(text))
+    }
+
+    // 同语种直接回显原文，作为唯一的数据块返回
+    if (this.normalizeLanguage(actualSourceLanguage) === this.normalizeLanguage(targetLanguage)) {
+      if (onChunk) onChunk(text, text)
+      return {
+        result: text,
+        sourceLanguage: actualSourceLanguage,
+        targetLanguage: targetLanguage
+      }
+    }
+
+    // 流式推送前还原占位符，末尾未收全的占位符暂缓推送；
+    // 已推送的内容无法撤回，占位符丢失时重试得到的译文通过返回值（STREAMING_COMPLETE 的完整译文）替换
+    const masked = await this.maskText(text, actualSourceLanguage, targetLanguage)
+    const translated = masked
+      ? await this.translateMasked(text, masked, actualSourceLanguage, targetLanguage, options, onChunk)
+      : await this.translateCachedStreaming(text, actualSourceLanguage, targetLanguage, onChunk, options)
+
+    return {
+      ...translated,
+      sourceLanguage: actualSourceLanguage,
+      targetLanguage: targetLanguage
+    }
+  }
+
+  /**
+   * 流式翻译单段文本（源语言已确定），缓存命中时整段作为唯一的数据块返回
+   * @param {Object} options - 可选参数，options.validate 同 translateCached
+   * @returns {Promise<{result: string, fromCache: boolean, provider: string}>}
+   */
+  async translateCachedStreaming(text, sourceLanguage, targetLanguage, onChunk = null, options = {}) {
+    const { validate, ...translateOptions } = options
+    const isValid = (result) => !validate || validate(result)
+
+    const cached = await this.cache.get(text, sourceLanguage, targetLanguage)
+    if (cached !== null && isValid(cached)) {
+      if (onChunk) onChunk(cached, cached)
+      return { result: cached, fromCache: true }
+    }
+
+    // 已推送的增量无法撤回，只有尚未推送任何数据时才回退到下一个后端
+    let streamed = false
+    const trackedOnChunk = (chunk, fullResult) => {
+      streamed = true
+      if (onChunk) onChunk(chunk, fullResult)
+    }
+
+    const { result, provider } = await this.runWithProviders(
+      sourceLanguage,
+      targetLanguage,
+      (backend) => needsSegmentation(text)
+        ? this.translateSegmented(text, sourceLanguage, targetLanguage, { ...translateOptions, provider: backend }, trackedOnChunk)
+        : this.translateStreaming(text, sourceLanguage, targetLanguage, trackedOnChunk, { ...translateOptions, provider: backend }),
+      () => !streamed
+    )
+
+    if (isValid(result) && this.isCacheable(provider)) {
+      this.cache.set(text, sourceLanguage, targetLanguage, result)
+    }
+    return { result, fromCache: false, provider }
+  }
+
+  /**
+   * 检测文本语言
+   * @param {string} text - 要检测的文本
+   * @returns {Promise<string>} 检测到的语言代码
+   */
+  async detectLanguage(text) {
+    const result = await this.detectLanguageWithConfidence(text)
+    if (result) {
+      console.log(`检测到语言: ${result.language}`)
+      return result.language
+    }
+
+    console.warn('语言检测失败，使用默认语言 en')
+    return 'en'
+  }
+
+  /**
+   * 检测文本语言并返回置信度
+   * @param {string} text - 要检测的文本
+   * @returns {Promise<{language: string, confidence: number}|null>} API 不可用或检测失败时返回 null
+   */
+  async detectLanguageWithConfidence(text) {
+    const chain = await this.getProviderChain()
+
+    // 按后端链顺序使用第一个给出结果的检测器
+    for (const provider of chain) {
+      if (!provider.isAvailable() || !provider.isDetectorAvailable()) continue
+      const result = await provider.detectLanguage(text)
+      if (result) return result
+    }
+    return null
   }
 
   /**
@@ -86,26 +429,114 @@ class TranslationCore {
    * @param {string} text - 要翻译的文本
    * @param {string} sourceLanguage - 源语言
    * @param {string} targetLanguage - 目标语言
+   * @param {Object} options - 可选参数
+   * @param {AbortSignal} options.signal - 取消信号
+   * @param {TranslationProvider} options.provider - 指定翻译后端，不传时按后端链选择
    * @returns {Promise<string>} 翻译结果
    */
-  async translate(text, sourceLanguage, targetLanguage) {
-    try {
-      if (!('Translator' in self)) {
-        throw new Error('Translator API 不可用')
+  async translate(text, sourceLanguage, targetLanguage, options = {}) {
+    const { provider, ...providerOptions } = options
+    if (provider) {
+      return provider.translate(text, sourceLanguage, targetLanguage, providerOptions)
+    }
+
+    const { result } = await this.runWithProviders(sourceLanguage, targetLanguage, (backend) =>
+      backend.translate(text, sourceLanguage, targetLanguage, providerOptions)
+    )
+    return result
+  }
+
+  /**
+   * 流式翻译文本
+   * @param {string} text - 要翻译的文本
+   * @param {string} sourceLanguage - 源语言
+   * @param {string} targetLanguage - 目标语言
+   * @param {Function} onChunk - 增量回调 (chunk, fullResult)
+   * @param {Object} options - 可选参数
+   * @param {AbortSignal} options.signal - 取消信号
+   * @param {TranslationProvider} options.provider - 指定翻译后端，不传时按后端链选择
+   * @returns {Promise<string>} 完整翻译结果
+   */
+  async translateStreaming(text, sourceLanguage, targetLanguage, onChunk = null, options = {}) {
+    const { provider, ...providerOptions } = options
+    if (provider) {
+      return provider.translateStreaming(text, sourceLanguage, targetLanguage, onChunk, providerOptions)
+    }
+
+    let streamed = false
+    const { result } = await this.runWithProviders(sourceLanguage, targetLanguage, (backend) =>
+      backend.translateStreaming(text, sourceLanguage, targetLanguage, (chunk, fullResult) => {
+        streamed = true
+        if (onChunk) onChunk(chunk, fullResult)
+      }, providerOptions),
+      () => !streamed
+    )
+    return result
+  }
+
+  /**
+   * 分段翻译长文本
+   * 按段落与句子边界切分为不超过 STORAGE_LIMITS.MAX_TRANSLATION_TEXT_LENGTH 的片段，
+   * 依次翻译后按原始换行拼回
+   * @param {string} text - 要翻译的文本
+   * @param {string} sourceLanguage - 源语言
+   * @param {string} targetLanguage - 目标语言
+   * @param {Object} options - 可选参数
+   * @param {AbortSignal} options.signal - 取消信号
+   * @param {Function} options.onProgress - 进度回调 (completed, total)
+   * @param {TranslationProvider} options.provider - 翻译后端，所有片段使用同一后端
+   * @param {Function} onChunk - 传入时逐片段流式翻译，增量回调 (chunk, fullResult)
+   * @returns {Promise<string>} 完整翻译结果
+   */
+  async translateSegmented(text, sourceLanguage, targetLanguage, options = {}, onChunk = null) {
+    const { onProgress } = options
+    const pieces = segmentText(text, { locale: sourceLanguage })
+    const total = pieces.filter(piece => piece.translatable).length
+    const translations = []
+    let fullResult = ''
+
+    const emit = (chunk) => {
+      if (!chunk || !onChunk) return
+      fullResult += chunk
+      onChunk(chunk, fullResult)
+    }
+
+    console.log(`长文本分段翻译: ${text.length} 字符，${total} 个片段`)
+
+    for (const piece of pieces) {
+      if (!piece.translatable) {
+        emit(piece.text)
+        continue
       }
 
-      // 创建新的翻译器实例
-      this.translator = await Translator.create({
-        sourceLanguage: sourceLanguage,
-        targetLanguage: targetLanguage
-      })
+      let translated
+      if (onChunk) {
+        let streamed = false
+        translated = await this.translateStreaming(piece.text, sourceLanguage, targetLanguage, (chunk) => {
+          streamed = true
+          emit(chunk)
+        }, options)
+        if (!streamed) emit(translated)
+      } else {
+        translated = await this.translate(piece.text, sourceLanguage, targetLanguage, options)
+      }
 
-      const result = await this.translator.translate(text)
-      return result || text
-    } catch (error) {
-      console.error('翻译失败:', error)
-      throw new Error(`翻译失败: ${error.message}`)
+      translations.push(translated)
+      if (onProgress) {
+        onProgress(translations.length, total)
+      }
     }
+
+    return joinSegments(pieces, translations)
+  }
+
+  /**
+   * 获取用于语言检测的文本样本，避免对超长文本整体检测
+   * @param {string} text - 原始文本
+   * @returns {string}
+   */
+  getDetectionSample(text) {
+    return text.slice(0, STORAGE_LIMITS.MAX_TRANSLATION_TEXT_LENGTH)
   }
 
   /**
@@ -133,11 +564,6 @@ class TranslationCore {
         if (onProgress) {
           onProgress(i + 1, texts.length, result)
         }
-
-        // 添加延迟避免请求过于频繁
-        if (i < texts.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 50))
-        }
       } catch (error) {
         console.error(`翻译第 ${i + 1} 个文本失败:`, error)
         results.push({
@@ -151,6 +577,15 @@ class TranslationCore {
     return results
   }
 
+  /**
+   * 判断是否为取消翻译产生的错误
+   * @param {Error} error - 错误对象
+   * @returns {boolean}
+   */
+  isAbortError(error) {
+    return !!error && error.name === 'AbortError'
+  }
+
   /**
    * 归一化语言代码
    * @param {string} language - 语言代码
@@ -162,20 +597,74 @@ class TranslationCore {
   }
 
   /**
-   * 检查翻译器API是否可用
+   * 检查后端链中是否有可用的翻译后端
+   * 同步检查基于最近一次读取的后端链，需要准确结果时先 await getProviderChain()
    * @returns {boolean}
    */
   isTranslatorAvailable() {
-    return 'Translator' in self
+    return this.providerChain.some(provider => provider.isAvailable())
   }
 
   /**
-  /**
-   * 检查语言检测API是否可用
+   * 检查后端链中是否有可用的语言检测
    * @returns {boolean}
    */
   isLanguageDetectorAvailable() {
-    return 'LanguageDetector' in self
+    return this.providerChain.some(provider => provider.isAvailable() && provider.isDetectorAvailable())
+  }
+
+  /**
+   * 查询语言对状态，取后端链中最好的状态
+   * @param {string} sourceLanguage - 源语言
+   * @param {string} targetLanguage - 目标语言
+   * @returns {Promise<string>} available | downloadable | downloading | unavailable
+   */
+  async checkAvailability(sourceLanguage, targetLanguage) {
+    const chain = await this.getProviderChain()
+    let best = 'unavailable'
+
+    for (const provider of chain) {
+      if (!provider.isAvailable()) continue
+      const availability = await provider.availability(sourceLanguage, targetLanguage)
+      if (availability === 'available') return availability
+      if (best === 'unavailable') best = availability
+    }
+
+    return best
+  }
+
+  /**
+   * 汇总后端链中各后端支持的语言对
+   * @returns {Promise<Array<{sourceLanguage: string, targetLanguage: string, availability: string, providers: string[]}>>}
+   */
+  async getSupportedPairs() {
+    const chain = await this.getProviderChain()
+    const pairs = new Map()
+
+    for (const provider of chain) {
+      if (!provider.isAvailable()) continue
+
+      let providerPairs = []
+      try {
+        providerPairs = await provider.getSupportedPairs()
+      } catch (error) {
+        console.warn(`获取翻译后端 ${provider.id} 的语言对失败:`, error.message)
+      }
+
+      for (const pair of providerPairs) {
+        const key = `${pair.sourceLanguage}->${pair.targetLanguage}`
+        const existing = pairs.get(key)
+        if (!existing) {
+          pairs.set(key, { ...pair, providers: [provider.id] })
+          continue
+        }
+
+        existing.providers.push(provider.id)
+        if (pair.availability === 'available') existing.availability = 'available'
+      }
+    }
+
+    return Array.from(pairs.values())
   }
 
   /**
@@ -190,8 +679,9 @@ class TranslationCore {
    * 清理资源
    */
   cleanup() {
-    this.translator = null
-    this.detector = null
+    for (const provider of getAllProviders()) {
+      provider.cleanup()
+    }
   }
 }
 
@@ -0,0 +1,282 @@
+import { TRANSLATION_PRIORITIES, TRANSLATOR_CONFIG } from './constants.json'
+
+// 优先级从高到低
+const PRIORITY_ORDER = [
+  TRANSLATION_PRIORITIES.INTERACTIVE,
+  TRANSLATION_PRIORITIES.VISIBLE,
+  TRANSLATION_PRIORITIES.PREFETCH
+]
+
+/**
+ * 翻译任务调度器 - Service Worker 中所有翻译任务的统一队列
+ * 优先级：交互（划词/popup）> 可见区域页面片段 > 预取
+ * 同一优先级内按标签页轮转，避免单个页面的大量片段饿死其他标签页；
+ * 全局并发上限取自 TRANSLATOR_CONFIG.MAX_CONCURRENT_TRANSLATIONS；
+ * 交互任务到达且没有空闲槽位时，抢占正在执行的低优先级任务，被抢占的任务回到队首稍后重新执行
+ */
+class TranslationScheduler {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent ?? TRANSLATOR_CONFIG.MAX_CONCURRENT_TRANSLATIONS
+
+    // 优先级 -> Map(标签页键 -> 任务数组)，Map 的插入顺序即轮转顺序
+    this.queues = new Map(PRIORITY_ORDER.map(priority => [priority, new Map()]))
+    this.running = new Set()
+
+    this.stats = {
+      completed: 0,
+      preempted: 0
+    }
+  }
+
+  /**
+   * 提交翻译任务
+   * @param {Function} task - 任务函数 (signal) => Promise，被抢占或取消时 signal 触发
+   * @param {Object} options - 可选参数
+   * @param {string} options.priority - 优先级（TRANSLATION_PRIORITIES），默认 interactive
+   * @param {number} options.tabId - 来源标签页，用于同优先级内轮转
+   * @param {AbortSignal} options.signal - 调用方的取消信号
+   * @param {boolean} options.preemptible - 是否允许被抢占，默认 true（流式任务抢占后重跑会重复推送，应设为 false）
+   * @returns {Promise<*>} 任务结果
+   */
+  schedule(task, options = {}) {
+    const { signal, tabId = null, preemptible = true } = options
+    const priority = this.normalizePriority(options.priority)
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason ?? new DOMException('翻译已取消', 'AbortError'))
+        return
+      }
+
+      const job = {
+        task,
+        priority,
+        tabKey: tabId ?? 'extension',
+        signal,
+        preemptible,
+        controller: null,
+        preempted: false,
+        startedAt: 0,
+        resolve,
+        reject
+      }
+
+      // 调用方取消：排队中直接移出，执行中透传给任务
+      job.onAbort = () => {
+        if (job.controller) {
+          job.controller.abort(signal.reason)
+        } else {
+          this.dequeue(job)
+          reject(signal.reason ?? new DOMException('翻译已取消', 'AbortError'))
+        }
+      }
+      signal?.addEventListener('abort', job.onAbort, { once: true })
+
+      this.enqueue(job)
+      this.pump()
+
+      if (priority === TRANSLATION_PRIORITIES.INTERACTIVE) {
+        this.preemptForInteractive()
+      }
+    })
+  }
+
+  /**
+   * 提升任务的优先级（合并的请求中有更高优先级的调用方加入时，如划词翻译的文本与排队中的页面片段相同）
+   * 排队中的任务移到新优先级的队列；执行中的任务只更新优先级，不再作为被抢占的对象；
+   * 提升为交互优先级时与新提交的交互任务一样抢占正在执行的低优先级任务
+   * @param {AbortSignal} signal - 提交任务时传入的取消信号，用于找到任务
+   * @param {string} priority - 新的优先级，不高于当前优先级时不做处理
+   */
+  raisePriority(signal, priority) {
+    const job = this.findJob(signal)
+    const target = this.normalizePriority(priority)
+    if (!job || PRIORITY_ORDER.indexOf(target) >= PRIORITY_ORDER.indexOf(job.priority)) return
+
+    if (this.running.has(job)) {
+      job.priority = target
+    } else {
+      this.dequeue(job)
+      job.priority = target
+      this.enqueue(job)
+    }
+
+    if (target === TRANSLATION_PRIORITIES.INTERACTIVE) {
+      this.preemptForInteractive()
+    }
+  }
+
+  /**
+   * 按提交时的取消信号查找排队中或执行中的任务
+   */
+  findJob(signal) {
+    if (!signal) return null
+
+    for (const job of this.running) {
+      if (job.signal === signal) return job
+    }
+    for (const tabs of this.queues.values()) {
+      for (const queue of tabs.values()) {
+        const job = queue.find(item => item.signal === signal)
+        if (job) return job
+      }
+    }
+    return null
+  }
+
+  /**
+   * 归一化优先级，未知值按交互处理
+   */
+  normalizePriority(priority) {
+    return PRIORITY_ORDER.includes(priority) ? priority : TRANSLATION_PRIORITIES.INTERACTIVE
+  }
+
+  /**
+   * 任务入队；front 为 true 时放回该标签页队列的队首（用于被抢占的任务）
+   */
+  enqueue(job, front = false) {
+    const tabs = this.queues.get(job.priority)
+    if (!tabs.has(job.tabKey)) {
+      tabs.set(job.tabKey, [])
+    }
+
+    const queue = tabs.get(job.tabKey)
+    if (front) {
+      queue.unshift(job)
+    } else {
+      queue.push(job)
+    }
+  }
+
+  /**
+   * 从队列中移除尚未开始的任务
+   */
+  dequeue(job) {
+    const tabs = this.queues.get(job.priority)
+    const queue = tabs.get(job.tabKey)
+    if (!queue) return
+
+    const index = queue.indexOf(job)
+    if (index !== -1) queue.splice(index, 1)
+    if (queue.length === 0) tabs.delete(job.tabKey)
+  }
+
+  /**
+   * 取出下一个任务：按优先级从高到低，同一优先级内按标签页轮转
+   */
+  next() {
+    for (const priority of PRIORITY_ORDER) {
+      const tabs = this.queues.get(priority)
+      const first = tabs.entries().next()
+      if (first.done) continue
+
+      const [tabKey, queue] = first.value
+      const job = queue.shift()
+
+      // 当前标签页移到轮转末尾
+      tabs.delete(tabKey)
+      if (queue.length > 0) tabs.set(tabKey, queue)
+
+      return job
+    }
+    return null
+  }
+
+  /**
+   * 在并发上限内启动排队的任务
+   */
+  pump() {
+    while (this.running.size < this.maxConcurrent) {
+      const job = this.next()
+      if (!job) return
+      this.start(job)
+    }
+  }
+
+  /**
+   * 执行任务，被抢占的任务回到队首
+   */
+  async start(job) {
+    job.controller = new AbortController()
+    job.preempted = false
+    job.startedAt = Date.now()
+    this.running.add(job)
+
+    try {
+      const result = await job.task(job.controller.signal)
+      this.stats.completed++
+      this.settle(job)
+      job.resolve(result)
+    } catch (error) {
+      if (job.preempted && !job.signal?.aborted) {
+        job.controller = null
+        this.enqueue(job, true)
+      } else {
+        this.settle(job)
+        job.reject(error)
+      }
+    } finally {
+      this.running.delete(job)
+      this.pump()
+    }
+  }
+
+  /**
+   * 任务结束，移除取消监听
+   */
+  settle(job) {
+    job.signal?.removeEventListener('abort', job.onAbort)
+  }
+
+  /**
+   * 仍有交互任务在排队时，抢占正在执行的低优先级任务（先抢占优先级最低、最晚开始的）
+   */
+  preemptForInteractive() {
+    let waiting = 0
+    for (const queue of this.queues.get(TRANSLATION_PRIORITIES.INTERACTIVE).values()) {
+      waiting += queue.length
+    }
+    if (waiting === 0) return
+
+    const candidates = Array.from(this.running)
+      .filter(job => job.preemptible && !job.preempted && job.priority !== TRANSLATION_PRIORITIES.INTERACTIVE)
+      .sort((a, b) =>
+        PRIORITY_ORDER.indexOf(b.priority) - PRIORITY_ORDER.indexOf(a.priority) || b.startedAt - a.startedAt
+      )
+
+    for (const job of candidates.slice(0, waiting)) {
+      job.preempted = true
+      this.stats.preempted++
+      job.controller.abort(new DOMException('翻译被高优先级任务抢占', 'AbortError'))
+      console.log(`低优先级翻译已被抢占: ${job.priority} (tab ${job.tabKey})`)
+    }
+  }
+
+  /**
+   * 获取调度器统计信息
+   * @returns {{running: number, maxConcurrent: number, queued: Object, completed: number, preempted: number}}
+   */
+  getStats() {
+    const queued = {}
+    for (const [priority, tabs] of this.queues) {
+      queued[priority] = 0
+      for (const queue of tabs.values()) {
+        queued[priority] += queue.length
+      }
+    }
+
+    return {
+      running: this.running.size,
+      maxConcurrent: this.maxConcurrent,
+      queued,
+      completed: this.stats.completed,
+      preempted: this.stats.preempted
+    }
+  }
+}
+
+// 创建单例实例
+const translationScheduler = new TranslationScheduler()
+
+export default translationScheduler
+export { TranslationScheduler }
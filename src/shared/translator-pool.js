@@ -0,0 +1,230 @@
+import { TRANSLATOR_CONFIG } from './constants.json'
+
+/**
+ * 翻译器实例池 - 按语言对复用 Translator 实例
+ * LRU 淘汰 + 空闲超时回收，淘汰时调用 destroy() 释放模型资源
+ * 智能翻译、批量翻译、流式翻译与预加载共用同一个池
+ */
+class TranslatorPool {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize ?? TRANSLATOR_CONFIG.MAX_TRANSLATOR_CACHE
+    this.idleTimeout = options.idleTimeout ?? TRANSLATOR_CONFIG.TRANSLATOR_IDLE_TIMEOUT
+
+    // Map 的插入顺序即 LRU 顺序：最早的条目最久未使用
+    this.entries = new Map()
+    // 正在创建中的实例，避免同一语言对并发创建多个翻译器
+    this.pending = new Map()
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0
+    }
+  }
+
+  /**
+   * 生成语言对键
+   * @param {string} sourceLanguage - 源语言
+   * @param {string} targetLanguage - 目标语言
+   * @returns {string}
+   */
+  getKey(sourceLanguage, targetLanguage) {
+    return `${sourceLanguage}-${targetLanguage}`
+  }
+
+  /**
+   * 获取（或创建）语言对对应的翻译器
+   * @param {string} sourceLanguage - 源语言
+   * @param {string} targetLanguage - 目标语言
+   * @param {Object} options - 透传给 Translator.create 的额外参数（如 monitor）
+   * @returns {Promise<Object>} Translator 实例
+   */
+  async acquire(sourceLanguage, targetLanguage, options = {}) {
+    const key = this.getKey(sourceLanguage, targetLanguage)
+    const entry = this.entries.get(key)
+
+    if (entry) {
+      this.stats.hits++
+      this.touch(key, entry)
+      return entry.translator
+    }
+
+    if (this.pending.has(key)) {
+      this.stats.hits++
+      return this.pending.get(key)
+    }
+
+    this.stats.misses++
+
+    const creating = Translator.create({
+      sourceLanguage,
+      targetLanguage,
+      ...options
+    })
+      .then((translator) => {
+        this.entries.set(key, {
+          translator,
+          createdAt: Date.now(),
+          lastUsed: Date.now(),
+          active: 0,
+          evicted: false,
+          timer: null
+        })
+        this.scheduleIdleEviction(key)
+        this.evictOverflow()
+        return translator
+      })
+      .finally(() => {
+        this.pending.delete(key)
+      })
+
+    this.pending.set(key, creating)
+    return creating
+  }
+
+  /**
+   * 在借用期间使用翻译器，借用中的实例被淘汰时会延迟到归还后再销毁
+   * @param {string} sourceLanguage - 源语言
+   * @param {string} targetLanguage - 目标语言
+   * @param {Function} task - 使用翻译器的异步函数 (translator) => Promise
+   * @returns {Promise<*>} task 的返回值
+   */
+  async use(sourceLanguage, targetLanguage, task) {
+    const key = this.getKey(sourceLanguage, targetLanguage)
+    const translator = await this.acquire(sourceLanguage, targetLanguage)
+    const entry = this.entries.get(key)
+
+    if (entry) entry.active++
+
+    try {
+      return await task(translator)
+    } finally {
+      if (entry) {
+        entry.active--
+        entry.lastUsed = Date.now()
+        if (entry.evicted && entry.active === 0) {
+          this.destroyTranslator(entry.translator)
+        }
+      }
+    }
+  }
+
+  /**
+   * 检查语言对是否已有可用实例
+   * @returns {boolean}
+   */
+  has(sourceLanguage, targetLanguage) {
+    return this.entries.has(this.getKey(sourceLanguage, targetLanguage))
+  }
+
+  /**
+   * 标记为最近使用，并重置空闲计时
+   */
+  touch(key, entry) {
+    entry.lastUsed = Date.now()
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    this.scheduleIdleEviction(key)
+  }
+
+  /**
+   * 设置空闲回收计时器
+   */
+  scheduleIdleEviction(key) {
+    const entry = this.entries.get(key)
+    if (!entry || !this.idleTimeout) return
+
+    clearTimeout(entry.timer)
+    entry.timer = setTimeout(() => {
+      if (entry.active > 0) {
+        // 仍在使用中，顺延一个周期
+        this.scheduleIdleEviction(key)
+        return
+      }
+      this.evict(key, 'idle')
+    }, this.idleTimeout)
+  }
+
+  /**
+   * 超出容量时淘汰最久未使用的实例
+   */
+  evictOverflow() {
+    while (this.entries.size > this.maxSize) {
+      const oldestKey = this.entries.keys().next().value
+      this.evict(oldestKey, 'lru')
+    }
+  }
+
+  /**
+   * 淘汰指定实例
+   * @param {string} key - 语言对键
+   * @param {string} reason - 淘汰原因（lru / idle / clear）
+   */
+  evict(key, reason) {
+    const entry = this.entries.get(key)
+    if (!entry) return
+
+    clearTimeout(entry.timer)
+    this.entries.delete(key)
+    entry.evicted = true
+    this.stats.evictions++
+
+    if (entry.active === 0) {
+      this.destroyTranslator(entry.translator)
+    }
+
+    console.log(`翻译器已回收: ${key} (${reason})`)
+  }
+
+  /**
+   * 释放翻译器资源
+   */
+  destroyTranslator(translator) {
+    try {
+      if (translator && typeof translator.destroy === 'function') {
+        translator.destroy()
+      }
+    } catch (error) {
+      console.warn('销毁翻译器失败:', error.message)
+    }
+  }
+
+  /**
+   * 清空实例池
+   */
+  clear() {
+    for (const key of Array.from(this.entries.keys())) {
+      this.evict(key, 'clear')
+    }
+  }
+
+  /**
+   * 获取实例池统计信息
+   * @returns {{size: number, maxSize: number, idleTimeout: number, hits: number, misses: number, evictions: number, hitRate: number, entries: Array}}
+   */
+  getStats() {
+    const now = Date.now()
+    const total = this.stats.hits + this.stats.misses
+
+    return {
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      idleTimeout: this.idleTimeout,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      evictions: this.stats.evictions,
+      hitRate: total > 0 ? this.stats.hits / total : 0,
+      entries: Array.from(this.entries.entries()).map(([key, entry]) => ({
+        key,
+        active: entry.active,
+        idleMs: now - entry.lastUsed
+      }))
+    }
+  }
+}
+
+// 创建单例实例
+const translatorPool = new TranslatorPool()
+
+export default translatorPool
+export { TranslatorPool }
@@ -0,0 +1,17 @@
+import { createApp } from 'vue';
+
+import { watchTheme } from '../shared/theme.js';
+import '../styles/index.css';
+import SidePanel from './SidePanel.vue';
+
+// 侧边栏与 popup 共用翻译组件，翻译统一经由 Service Worker 执行
+const app = createApp(SidePanel);
+
+app.config.errorHandler = (err, _instance, info) => {
+  console.error('侧边栏应用错误:', err, info);
+};
+
+// 应用设置中的主题（设置变化时自动切换）
+watchTheme();
+
+app.mount('#app');
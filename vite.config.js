@@ -37,15 +37,22 @@ const chromeExtensionPlugin = () => {
         console.log('✓ 已复制 constants.json');
       }
 
-      // 处理 popup.html
-      if (existsSync('dist/src/popup/index.html')) {
-        let htmlContent = readFileSync('dist/src/popup/index.html', 'utf8');
+      // 处理 popup.html 与 sidepanel.html
+      const htmlPages = [
+        ['dist/src/popup/index.html', 'dist/popup.html'],
+        ['dist/src/sidepanel/index.html', 'dist/sidepanel.html'],
+      ];
+      for (const [source, target] of htmlPages) {
+        if (!existsSync(source)) continue;
+        let htmlContent = readFileSync(source, 'utf8');
         // 修复资源路径为相对路径
         htmlContent = htmlContent.replace(/src="\/assets\//g, 'src="./assets/');
         htmlContent = htmlContent.replace(/href="\/assets\//g, 'href="./assets/');
-        writeFileSync('dist/popup.html', htmlContent);
-        console.log('✓ 已优化 popup.html');
-        
+        writeFileSync(target, htmlContent);
+        console.log(`✓ 已优化 ${target.replace('dist/', '')}`);
+      }
+
+      if (existsSync('dist/src')) {
         // 删除临时的src目录
         try {
           const { rmSync } = await import('fs');
@@ -150,6 +157,7 @@ export default defineConfig(({ mode, command }) => {
           main: resolve(__dirname, 'index.html')
         } : {
           popup: resolve(__dirname, 'src/popup/index.html'),
+          sidepanel: resolve(__dirname, 'src/sidepanel/index.html'),
           'content-script': resolve(__dirname, 'src/content/content-script.js'),
           'service-worker': resolve(__dirname, 'src/background/service-worker.js'),
         },